@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// Batch runner: evaluates a CSV or JSON file of scenarios and writes the results.
+import { readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { COMMON_INPUTS, DECISIONS, createLocale, evaluate, parseCsv, parseScenarioFile, toCsv } from "../src/engine.js";
+
+const USAGE = `Usage: mdic <scenarios.csv|scenarios.json|-> [-o results.csv|results.json] [--format csv|json]
+       mdic --list
+
+Input
+  CSV   one scenario per row with columns name, decision, then any input keys.
+        Blank cells use the input's default.
+  JSON  a scenario file exported from MDIC, or an array of
+        { "name": ..., "decision": ..., <input key>: <number>, ... } objects.
+  -     read from stdin (format from --format, default json)
+
+Output is JSON on stdout unless -o is given; the format follows the -o extension,
+then --format. Exit code 0 = all scenarios evaluated, 1 = some were invalid,
+2 = bad usage or unreadable input.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { input: null, output: null, format: null, list: false };
+  // Option values are never read from the next flag, so "-o --format csv" is an error, not a file
+  const valueOf = (i) => {
+    const v = argv[i + 1];
+    if (v == null || v.startsWith("-")) throw new UsageError(`${argv[i]} needs a value.`);
+    return v;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h" || a === "--help") throw new UsageError("");
+    else if (a === "--list") args.list = true;
+    else if (a === "-o" || a === "--output") args.output = valueOf(i++);
+    else if (a === "--format") args.format = valueOf(i++);
+    else if (a.startsWith("-") && a !== "-") throw new UsageError(`Unknown option ${a}`);
+    else if (args.input == null) args.input = a;
+    else throw new UsageError(`Unexpected argument ${a}`);
+  }
+  if (args.format && !["csv", "json"].includes(args.format)) throw new UsageError(`Unknown format ${args.format}`);
+  if (!args.list && args.input == null) throw new UsageError("No input file given.");
+  return args;
+}
+
+function formatOf(path, fallback) {
+  const ext = path && path !== "-" ? extname(path).slice(1).toLowerCase() : "";
+  return ["csv", "json"].includes(ext) ? ext : fallback;
+}
+
+async function readInput(path) {
+  if (path !== "-") return readFile(path, "utf8");
+  let text = "";
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+// Every input format becomes [{ name, decision, inputs }]
+function scenariosFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error("The CSV file is empty.");
+  const cols = header.map((h) => h.trim());
+  if (!cols.includes("decision")) throw new Error('The CSV file needs a "decision" column.');
+  return rows.map((row, i) => {
+    // Blank cells are dropped so one sheet can mix decisions with different inputs
+    const record = Object.fromEntries(cols.map((c, j) => [c, (row[j] ?? "").trim()]).filter(([, v]) => v !== ""));
+    const { name, decision = "", ...inputs } = record;
+    return { name: name || `Row ${i + 2}`, decision, inputs };
+  });
+}
+
+function scenariosFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The input is not valid JSON.");
+  }
+  if (data && data.format) {
+    return parseScenarioFile(text).map((s) => ({ name: s.name, decision: s.decision, inputs: { ...s.common, ...s.inputs } }));
+  }
+  if (!Array.isArray(data)) throw new Error("Expected an MDIC scenario file or an array of scenarios.");
+  return data.map((item, i) => {
+    const { name, decision, ...inputs } = item || {};
+    return { name: name || `Scenario ${i + 1}`, decision, inputs };
+  });
+}
+
+function run(scenarios) {
+  return scenarios.map((s) => {
+    const { decision, result, problems } = evaluate(s.decision, s.inputs);
+    return {
+      name: s.name,
+      decision: decision ? decision.id : s.decision,
+      ok: problems.length === 0,
+      problems,
+      result,
+    };
+  });
+}
+
+function resultsCsv(results) {
+  const keys = [];
+  for (const r of results) {
+    for (const [k, v] of Object.entries(r.result || {})) {
+      if (typeof v === "number" && !keys.includes(k)) keys.push(k);
+    }
+  }
+  return toCsv([
+    ["name", "decision", "ok", ...keys, "problems"],
+    ...results.map((r) => [r.name, r.decision, r.ok, ...keys.map((k) => r.result?.[k] ?? ""), r.problems.join(" ")]),
+  ]);
+}
+
+// Batch inputs are always per week and in the file's own currency, so labels use the defaults
+function listDecisions() {
+  const loc = createLocale();
+  const line = (f) => `  ${f.key.padEnd(26)} ${loc.fieldLabel(f)}, default ${f.default}`;
+  const lines = ["Common inputs:", ...COMMON_INPUTS.map(line)];
+  for (const d of DECISIONS) {
+    lines.push("", `${d.id} — ${d.label}:`, ...d.inputs.map(line));
+  }
+  return lines.join("\n");
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.list) {
+    console.log(listDecisions());
+    return 0;
+  }
+
+  const text = await readInput(args.input);
+  const inFormat = formatOf(args.input, args.format || "json");
+  const scenarios = inFormat === "csv" ? scenariosFromCsv(text) : scenariosFromJson(text);
+  const results = run(scenarios);
+
+  const outFormat = formatOf(args.output, args.format || "json");
+  const body = outFormat === "csv" ? resultsCsv(results) : JSON.stringify(results, null, 2);
+  if (args.output) await writeFile(args.output, body + "\n");
+  else process.stdout.write(body + "\n");
+
+  const failed = results.filter((r) => !r.ok);
+  for (const r of failed) console.error(`${r.name}: ${r.problems.join(" ")}`);
+  return failed.length ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    if (err instanceof UsageError) {
+      if (err.message) console.error(err.message + "\n");
+      console.error(USAGE);
+    } else {
+      console.error(`mdic: ${err.message}`);
+    }
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,120 @@
+import React, { useMemo } from "react";
+import { inputsFor } from "./decisions/index.js";
+import { capexDcf } from "./decisions/capex.js";
+import { useLocale } from "./localeContext.js";
+import { KPI } from "./ui.jsx";
+
+// The discounted cash flow runs week by week, so this card stays in weeks whatever the
+// time base; long spans are also given in years.
+export function CapexCashFlowCard({ decision, values }) {
+  const loc = useLocale();
+  const { t } = loc;
+  const dcf = useMemo(() => capexDcf(inputsFor(decision, values)), [decision, values]);
+
+  const weeksText = (w) => {
+    if (w == null) return t("Never");
+    return w >= 104
+      ? t("{weeks} wks ({years} yrs)", { weeks: w, years: loc.number(w / 52, { maximumFractionDigits: 1 }) })
+      : t("{weeks} wks", { weeks: w });
+  };
+  const pctText = (p) => (p == null ? t("n/a") : loc.kpi({ format: "percent" }, p));
+
+  return (
+    <div className="mdic-card">
+      <h2>{t("Discounted cash flow: buy now vs. buy after {weeks} weeks", { weeks: dcf.delay })}</h2>
+      <div className="mdic-kpis">
+        <KPI title={t("NPV — buy now")} value={loc.money(dcf.npvNow)} note={loc.reportingMoney(dcf.npvNow)} />
+        <KPI
+          title={t("NPV — buy after {weeks} wks", { weeks: dcf.delay })}
+          value={loc.money(dcf.npvDelayed)}
+          note={loc.reportingMoney(dcf.npvDelayed)}
+        />
+        <KPI
+          title={t("Payback from purchase — now / delayed")}
+          value={`${weeksText(dcf.paybackNowWeeks)} / ${weeksText(dcf.paybackDelayedWeeks)}`}
+        />
+        <KPI title={t("IRR — now / delayed")} value={`${pctText(dcf.irrNowPct)} / ${pctText(dcf.irrDelayedPct)}`} />
+      </div>
+
+      <CumulativeChart weeks={dcf.weeks} />
+
+      <div className="mdic-summary">
+        <strong>{t("Breakeven delay:")}</strong>{" "}
+        {dcf.breakevenDelayWeeks == null
+          ? t("Buying now already has a negative NPV over the planning period, so no delay makes it pay.")
+          : t("The purchase stays NPV-positive if it is delayed by up to {span}. Delaying {weeks} weeks changes NPV by {amount}.", {
+              span: weeksText(dcf.breakevenDelayWeeks),
+              weeks: dcf.delay,
+              amount: loc.amount(dcf.npvDelayed - dcf.npvNow),
+            })}
+      </div>
+
+      <details style={{ marginTop: 12 }}>
+        <summary className="mdic-label">{t("Week-by-week cash flows")}</summary>
+        <div className="mdic-scroll" style={{ maxHeight: 360, overflowY: "auto" }}>
+          <table className="mdic-table mdic-compare">
+            <thead>
+              <tr>
+                <th>{t("Week")}</th>
+                <th>{t("Buy now")}</th>
+                <th>{t("Buy later")}</th>
+                <th>{t("PV buy now")}</th>
+                <th>{t("PV buy later")}</th>
+                <th>{t("Cum. PV now")}</th>
+                <th>{t("Cum. PV later")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dcf.weeks.map((w) => (
+                <tr key={w.week}>
+                  <td>{w.week}</td>
+                  <td>{loc.money(w.now)}</td>
+                  <td>{loc.money(w.delayed)}</td>
+                  <td>{loc.money(w.pvNow)}</td>
+                  <td>{loc.money(w.pvDelayed)}</td>
+                  <td>{loc.money(w.cumNow)}</td>
+                  <td>{loc.money(w.cumDelayed)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+
+      <div className="mdic-help">
+        {t("Savings start after the deployment lead time and stop at end of life. If the asset outlives the planning period its straight-line book value is counted in the last week. Discounted at the cost of capital.")}
+      </div>
+    </div>
+  );
+}
+
+function CumulativeChart({ weeks }) {
+  const { t } = useLocale();
+  const w = 600;
+  const h = 160;
+  const values = weeks.flatMap((x) => [x.cumNow, x.cumDelayed]);
+  const lo = Math.min(0, ...values);
+  const hi = Math.max(0, ...values);
+  const span = hi - lo || 1;
+  const x = (i) => (weeks.length > 1 ? (i / (weeks.length - 1)) * w : 0);
+  const y = (v) => h - ((v - lo) / span) * h;
+  const line = (key) => weeks.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(" ");
+
+  return (
+    <div className="mdic-histogram">
+      <svg viewBox={`0 0 ${w} ${h}`} preserveAspectRatio="none" role="img" aria-label={t("Cumulative discounted cash flow")}>
+        <line x1="0" x2={w} y1={y(0)} y2={y(0)} className="mdic-chart-zero" />
+        <polyline points={line("cumNow")} className="mdic-line-now" />
+        <polyline points={line("cumDelayed")} className="mdic-line-later" />
+      </svg>
+      <div className="mdic-histogram-axis">
+        <span>{t("Week {week}", { week: 0 })}</span>
+        <span>
+          <span className="mdic-swatch mdic-bar-high" /> {t("buy now")} <span className="mdic-swatch mdic-bar-low" />{" "}
+          {t("buy later")}
+        </span>
+        <span>{t("Week {week}", { week: weeks.length - 1 })}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import { IMPACT_KPIS, num } from "./common.js";
+
+// Effective weekly rate from an annual cost of capital
+function weeklyRate(inputs) {
+  return Math.pow(1 + num(inputs.costOfCapitalPct) / 100, 1 / 52) - 1;
+}
+
+// Week-by-week cash flows over the planning period for a purchase made in `buyWeek`.
+// Index 0 is "today"; savings start after the deployment lead time and stop at end of
+// life; the asset is either salvaged at end of life or valued at book value at the end.
+function cashFlowTerms(inputs) {
+  return {
+    periodWeeks: Math.max(0, Math.round(num(inputs.planningYears) * 52)),
+    lifeWeeks: Math.max(1, Math.round(num(inputs.usefulLifeYears) * 52)),
+    lead: Math.max(0, Math.round(num(inputs.deploymentLeadWeeks))),
+    capex: num(inputs.capexAmount),
+    salvage: num(inputs.salvageValue),
+    savingsPerWeek: num(inputs.annualSavings) / 52,
+  };
+}
+
+export function capexCashFlows(inputs, buyWeek) {
+  const { periodWeeks, lifeWeeks, lead, capex, salvage, savingsPerWeek } = cashFlowTerms(inputs);
+  const flows = new Array(periodWeeks + 1).fill(0);
+  if (buyWeek > periodWeeks) return flows;
+
+  flows[buyWeek] -= capex;
+  const endOfLife = buyWeek + lifeWeeks;
+  for (let w = buyWeek + lead + 1; w <= Math.min(periodWeeks, endOfLife); w++) flows[w] += savingsPerWeek;
+
+  if (endOfLife <= periodWeeks) {
+    flows[endOfLife] += salvage;
+  } else {
+    const age = periodWeeks - buyWeek;
+    flows[periodWeeks] += capex - ((capex - salvage) * age) / lifeWeeks;
+  }
+  return flows;
+}
+
+export function npv(flows, rate) {
+  let total = 0;
+  for (let w = 0; w < flows.length; w++) total += flows[w] / Math.pow(1 + rate, w);
+  return total;
+}
+
+// NPV of the purchase as a function of the week it is made, the same as
+// npv(capexCashFlows(inputs, week), rate) but O(1) per week from prefix sums of the
+// discount factors, so scanning every possible delay stays linear in the period
+function npvByBuyWeek(inputs, rate) {
+  const { periodWeeks, lifeWeeks, lead, capex, salvage, savingsPerWeek } = cashFlowTerms(inputs);
+  const df = (w) => 1 / Math.pow(1 + rate, w);
+  const cumDf = [0];
+  for (let w = 0; w <= periodWeeks; w++) cumDf.push(cumDf[w] + df(w));
+
+  return (buyWeek) => {
+    if (buyWeek > periodWeeks) return 0;
+    const endOfLife = buyWeek + lifeWeeks;
+    const first = buyWeek + lead + 1;
+    const last = Math.min(periodWeeks, endOfLife);
+    let total = -capex * df(buyWeek);
+    if (last >= first) total += savingsPerWeek * (cumDf[last + 1] - cumDf[first]);
+    if (endOfLife <= periodWeeks) {
+      total += salvage * df(endOfLife);
+    } else {
+      const age = periodWeeks - buyWeek;
+      total += (capex - ((capex - salvage) * age) / lifeWeeks) * df(periodWeeks);
+    }
+    return total;
+  };
+}
+
+// Weeks from purchase until cumulative (undiscounted) cash turns non-negative; null if never
+export function paybackWeeks(flows, buyWeek) {
+  let cumulative = 0;
+  for (let w = buyWeek; w < flows.length; w++) {
+    cumulative += flows[w];
+    if (w > buyWeek && cumulative >= 0) return w - buyWeek;
+  }
+  return null;
+}
+
+// Annualized IRR by bisection on the weekly rate; null when NPV never changes sign.
+// Weekly bounds of -5%..20% cover roughly -93%..13,000% a year without overflowing.
+export function irr(flows) {
+  let lo = -0.05;
+  let hi = 0.2;
+  let fLo = npv(flows, lo);
+  const fHi = npv(flows, hi);
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || Math.sign(fLo) === Math.sign(fHi)) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(flows, mid);
+    if (Math.abs(fMid) < 1e-7) return (Math.pow(1 + mid, 52) - 1) * 100;
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (Math.pow(1 + (lo + hi) / 2, 52) - 1) * 100;
+}
+
+// Full "buy now" vs "buy after delay" comparison for the cash-flow view
+export function capexDcf(inputs) {
+  const rate = weeklyRate(inputs);
+  const delay = Math.max(0, Math.round(num(inputs.delayWeeks)));
+  const now = capexCashFlows(inputs, 0);
+  const delayed = capexCashFlows(inputs, delay);
+
+  let cumNow = 0;
+  let cumDelayed = 0;
+  const weeks = now.map((_, w) => {
+    const df = 1 / Math.pow(1 + rate, w);
+    cumNow += now[w] * df;
+    cumDelayed += delayed[w] * df;
+    return { week: w, now: now[w], delayed: delayed[w], pvNow: now[w] * df, pvDelayed: delayed[w] * df, cumNow, cumDelayed };
+  });
+
+  const npvNow = npv(now, rate);
+
+  // Longest delay that still leaves the purchase NPV-positive within the planning period
+  let breakevenDelayWeeks = null;
+  if (npvNow >= 0) {
+    const npvAt = npvByBuyWeek(inputs, rate);
+    breakevenDelayWeeks = 0;
+    for (let d = 1; d < now.length; d++) {
+      if (npvAt(d) < 0) break;
+      breakevenDelayWeeks = d;
+    }
+  }
+
+  return {
+    delay,
+    weeks,
+    npvNow,
+    npvDelayed: npv(delayed, rate),
+    paybackNowWeeks: paybackWeeks(now, 0),
+    paybackDelayedWeeks: paybackWeeks(delayed, delay),
+    irrNowPct: irr(now),
+    irrDelayedPct: irr(delayed),
+    breakevenDelayWeeks,
+  };
+}
+
+export default {
+  id: "capex",
+  label: "Delay CAPEX Purchase",
+  title: "Delay CAPEX inputs",
+  help: "Total impact is the cash effect within your time horizon: capital cost avoided minus savings missed. The lifetime NPV impact covers the whole planning period, including salvage.",
+  assumptions: [
+    "Within the horizon, delaying avoids the capital cost of the CAPEX amount (simple interest) but misses savings that buying now would have delivered after the lead time.",
+    "Lifetime NPV compares buying now with buying after the delay over the planning period, discounted weekly at the cost of capital.",
+    "Savings run from the end of the lead time to the end of the useful life; salvage is received at end of life, otherwise straight-line book value counts at the end of the planning period.",
+  ],
+  inputs: [
+    { key: "capexAmount", label: "CAPEX amount", unit: "$", step: 1000, default: 100000, min: 0 },
+    { key: "annualSavings", label: "Expected annual savings", unit: "$/yr", step: 1000, default: 40000, min: 0 },
+    { key: "deploymentLeadWeeks", label: "Deployment lead time", unit: "{periods}", step: 1, default: 8, min: 0, time: "span" },
+    { key: "costOfCapitalPct", label: "Cost of capital", unit: "%/yr, optional", step: 0.5, default: 10, min: 0 },
+    { key: "delayWeeks", label: "Purchase delay", unit: "{periods}", step: 1, default: 12, min: 0, time: "span" },
+    { key: "usefulLifeYears", label: "Useful life", unit: "years", step: 1, default: 7, min: 0.1 },
+    { key: "salvageValue", label: "Salvage value at end of life", unit: "$", step: 1000, default: 10000, min: 0 },
+    { key: "planningYears", label: "Planning period for NPV", unit: "years", step: 1, default: 5, min: 0.1, max: 30 },
+  ],
+  kpis: [
+    ...IMPACT_KPIS,
+    { key: "lostSavingsWithinHorizon", title: "Lost savings (within horizon)", format: "money" },
+    { key: "npvDelayImpact", title: "Lifetime NPV impact of delay", format: "money" },
+  ],
+  usage(inputs) {
+    // The delayed purchase only draws on this horizon's budget if it still lands inside it
+    return { capexWithinHorizon: num(inputs.delayWeeks) < num(inputs.horizonWeeks) ? num(inputs.capexAmount) : 0 };
+  },
+  calculate(inputs) {
+    const horizon = num(inputs.horizonWeeks);
+    const lead = num(inputs.deploymentLeadWeeks);
+    const delay = Math.max(0, num(inputs.delayWeeks));
+    const savingsPerWeek = num(inputs.annualSavings) / 52;
+
+    // Weeks of benefit you miss during the horizon because you delayed the purchase:
+    // buying now pays from `lead` onwards, buying later only from `delay + lead`
+    const missedBenefitWeeks = Math.max(0, Math.min(horizon, delay + lead) - lead);
+
+    const lostSavingsWithinHorizon = savingsPerWeek * missedBenefitWeeks;
+
+    // Simple financing/opportunity cost of the cash you did not tie up while waiting
+    const costOfCapitalPerWeek = (num(inputs.costOfCapitalPct) / 100) / 52;
+    const carryingCostAvoided = num(inputs.capexAmount) * costOfCapitalPerWeek * Math.min(delay, horizon);
+
+    const totalImpact = carryingCostAvoided - lostSavingsWithinHorizon;
+    const netImpactPerWeek = horizon > 0 ? totalImpact / horizon : 0;
+
+    // Lifetime view: discounted cash flows of buying now vs after the delay
+    const rate = weeklyRate(inputs);
+    const npvNow = npv(capexCashFlows(inputs, 0), rate);
+    const npvDelayed = npv(capexCashFlows(inputs, Math.round(delay)), rate);
+
+    return {
+      capexAmount: num(inputs.capexAmount),
+      annualSavings: num(inputs.annualSavings),
+      deploymentLeadWeeks: num(inputs.deploymentLeadWeeks),
+      costOfCapitalPct: num(inputs.costOfCapitalPct),
+      missedBenefitWeeks,
+      lostSavingsWithinHorizon,
+      carryingCostAvoided,
+      npvNow,
+      npvDelayed,
+      npvDelayImpact: npvDelayed - npvNow,
+      netImpactPerWeek,
+      totalImpact,
+    };
+  },
+  weekly(inputs) {
+    return {
+      columns: [
+        { key: "week", title: "Week", format: "number" },
+        { key: "now", title: "Cash — buy now", format: "money" },
+        { key: "delayed", title: "Cash — buy later", format: "money" },
+        { key: "pvNow", title: "PV — buy now", format: "money" },
+        { key: "pvDelayed", title: "PV — buy later", format: "money" },
+        { key: "cumNow", title: "Cumulative PV — buy now", format: "money" },
+        { key: "cumDelayed", title: "Cumulative PV — buy later", format: "money" },
+      ],
+      rows: capexDcf(inputs).weeks,
+    };
+  },
+};
@@ -0,0 +1,119 @@
+// Shared inputs and helpers used by every decision model.
+
+export function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Common inputs (manager-friendly). `required` inputs must be > 0 before results show.
+export const COMMON_INPUTS = [
+  { key: "horizonWeeks", label: "Time horizon", unit: "{periods}", step: 1, default: 6, min: 0, required: true, time: "span" },
+  { key: "runtimePerWeek", label: "Planned runtime per {period}", unit: "hrs", step: 1, default: 40, min: 0, max: 168, required: true, time: "rate" },
+  { key: "baselineUnitsPerHr", label: "Baseline output rate", unit: "units/hr", step: 1, default: 50, min: 0, required: true },
+  { key: "laborRate", label: "Fully burdened labor cost", unit: "$/hr", step: 1, default: 35, min: 0, required: true },
+  { key: "overheadPct", label: "Overhead add-on", unit: "%", step: 1, default: 0, min: 0 },
+  { key: "sellPrice", label: "Selling price", unit: "$/unit, optional", step: 1, default: 0, min: 0 },
+  { key: "cmPct", label: "Contribution margin", unit: "%", step: 1, default: 35, min: 0, max: 100 },
+  { key: "baselineOeePct", label: "Baseline OEE on output rate", unit: "%", step: 1, default: 100, min: 0, max: 100 },
+  { key: "baselineScrapPct", label: "Baseline scrap", unit: "%", step: 0.1, default: 0, min: 0, max: 100 },
+  { key: "weeklyDemand", label: "Customer demand", unit: "units/{period}, 0 = sell all", step: 100, default: 0, min: 0, time: "rate" },
+  { key: "fgInventory", label: "Finished-goods inventory", unit: "units", step: 100, default: 0, min: 0 },
+  { key: "latePenaltyPerUnitWeek", label: "Late penalty", unit: "$/unit per {period} late", step: 0.1, default: 0, min: 0, time: "rate" },
+];
+
+// Shared throughput baseline: the output rate is derated by OEE and scrap to good units
+export function baselineCalc(inputs) {
+  const yieldFactor = (num(inputs.baselineOeePct, 100) / 100) * (1 - num(inputs.baselineScrapPct) / 100);
+  const goodUnitsPerHr = num(inputs.baselineUnitsPerHr) * yieldFactor;
+  const units = goodUnitsPerHr * num(inputs.runtimePerWeek);
+  const cm = num(inputs.cmPct) / 100;
+  const oppCostPerHr = goodUnitsPerHr * num(inputs.sellPrice) * cm;
+  return { units, goodUnitsPerHr, yieldFactor, cm, oppCostPerHr };
+}
+
+// The horizon as whole weeks, each with the share of it that falls inside the horizon:
+// 1 for every week but a part week at the end (a month is 4.33 weeks)
+export function horizonShares(inputs) {
+  const horizon = Math.max(0, num(inputs.horizonWeeks));
+  return Array.from({ length: Math.max(1, Math.ceil(horizon)) }, (_, i) => Math.min(1, horizon - i));
+}
+
+// Runs the horizon week by week with and without a decision's change in good units
+// (`delta` is a number or a function of the week index). Extra units only earn margin
+// when they ship against demand; demand that cannot be met waits as backlog and costs
+// the late penalty every week it waits. Demand of 0 means everything made is sold.
+// A part week at the end makes, ships and waits for its share of a week. Results are
+// per-week averages over the horizon; `weeklyProfit` has one entry per simulated week.
+export function throughputCalc(inputs, delta) {
+  const baseline = baselineCalc(inputs);
+  const shares = horizonShares(inputs);
+  const weeks = shares.length;
+  const span = shares.reduce((n, s) => n + s, 0) || 1;
+  const demand = num(inputs.weeklyDemand);
+  const penalty = num(inputs.latePenaltyPerUnitWeek);
+  const deltaAt = typeof delta === "function" ? delta : () => num(delta);
+
+  const run = (withDecision) => {
+    let inventory = num(inputs.fgInventory);
+    let backlog = 0;
+    let shipped = 0;
+    let lateCost = 0;
+    const byWeek = [];
+    shares.forEach((share, week) => {
+      const made = Math.max(0, baseline.units + (withDecision ? deltaAt(week) : 0)) * share;
+      let out = made;
+      if (demand > 0) {
+        const available = inventory + made;
+        const due = demand * share + backlog;
+        out = Math.min(available, due);
+        inventory = available - out;
+        backlog = due - out;
+      }
+      shipped += out;
+      lateCost += backlog * penalty * share;
+      byWeek.push({ shipped: out, lateCost: backlog * penalty * share });
+    });
+    return { shipped, lateCost, backlog, byWeek };
+  };
+
+  const before = run(false);
+  const after = run(true);
+  const unitMargin = num(inputs.sellPrice) > 0 ? num(inputs.sellPrice) * baseline.cm : 0;
+
+  const deltaShippedUnits = (after.shipped - before.shipped) / span;
+  const marginFromUnits = deltaShippedUnits * unitMargin;
+  const latePenaltyDelta = (after.lateCost - before.lateCost) / span;
+
+  // Same profit split by week, for the weekly breakdown
+  const weeklyProfit = after.byWeek.map(
+    (w, i) => (w.shipped - before.byWeek[i].shipped) * unitMargin - (w.lateCost - before.byWeek[i].lateCost)
+  );
+
+  return {
+    deltaShippedUnits,
+    marginFromUnits,
+    latePenaltyDelta,
+    profitFromUnits: marginFromUnits - latePenaltyDelta,
+    backlogEnd: after.backlog,
+    baselineBacklogEnd: before.backlog,
+    demandLimited: demand > 0,
+    weeks,
+    shares,
+    span,
+    weeklyProfit,
+  };
+}
+
+// Printed under every decision's own assumptions in the leadership report
+export const COMMON_ASSUMPTIONS = [
+  "Good units per hour = output rate × OEE × (1 − baseline scrap).",
+  "Extra good units earn selling price × contribution margin only when they ship; with no price entered the result is cost-only.",
+  "When customer demand is entered, unmet demand carries over as backlog and costs the late penalty each week; finished-goods inventory is used first.",
+  "Labor costs include the overhead add-on.",
+];
+
+// Every decision reports these two first; decision-specific KPIs follow.
+export const IMPACT_KPIS = [
+  { key: "netImpactPerWeek", title: "Net impact / {period}", format: "money", time: "rate" },
+  { key: "totalImpact", title: "Total impact (horizon)", format: "money" },
+];
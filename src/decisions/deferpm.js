@@ -0,0 +1,112 @@
+import { IMPACT_KPIS, baselineCalc, num, throughputCalc } from "./common.js";
+
+function deferPmModel(inputs) {
+  const baseline = baselineCalc(inputs);
+  const horizon = num(inputs.horizonWeeks);
+  const oh = 1 + num(inputs.overheadPct) / 100;
+
+  // You can only defer within the horizon you are looking at
+  const deferWeeks = Math.min(Math.max(0, num(inputs.pmDeferWeeks)), horizon);
+
+  const pmSavingsPerWeek =
+    num(inputs.pmLaborHoursPerWeek) * num(inputs.laborRate) * oh + num(inputs.pmPartsPerWeek);
+
+  // Breakdown risk grows each deferred week; one breakdown ends the deferral (you fix it),
+  // so a week's PM is only saved if the line is still running when the week starts
+  let survive = 1;
+  const savingsByWeek = [];
+  const firstBreakdownByWeek = [];
+  for (let week = 1; week < deferWeeks + 1; week++) {
+    savingsByWeek.push(survive * pmSavingsPerWeek * Math.min(1, deferWeeks - week + 1));
+    // A part week at the end saves its share of the PM but adds no risk of its own
+    if (week > deferWeeks) break;
+    const p = Math.min(1, week * (num(inputs.failureProbIncreasePct) / 100));
+    firstBreakdownByWeek.push(survive * p);
+    survive *= 1 - p;
+  }
+  const pmSavings = savingsByWeek.reduce((n, s) => n + s, 0);
+  const breakdownProbability = 1 - survive;
+
+  // A breakdown loses one repair's worth of output in the first deferred week;
+  // inventory and demand decide how much of that the customer actually feels
+  const lostUnits = num(inputs.repairHours) * baseline.goodUnitsPerHr;
+  const throughput = throughputCalc(inputs, (week) => (week === 0 ? -lostUnits : 0));
+  const lostMargin = -throughput.profitFromUnits * throughput.span;
+  const breakdownCost = num(inputs.repairCost) + lostMargin;
+
+  const expectedBreakdownCost = breakdownProbability * breakdownCost;
+
+  const totalImpact = pmSavings - expectedBreakdownCost;
+  const netImpactPerWeek = horizon > 0 ? totalImpact / horizon : 0;
+
+  // "What if it actually breaks?" — the line goes down in the first deferred week
+  const worstCaseImpact = deferWeeks > 0 ? pmSavingsPerWeek - breakdownCost : 0;
+
+  const result = {
+    deferWeeks,
+    pmSavingsPerWeek,
+    pmSavings,
+    breakdownProbability,
+    breakdownRiskPct: breakdownProbability * 100,
+    lostUnits,
+    breakdownCost,
+    expectedBreakdownCost,
+    worstCaseImpact,
+    netImpactPerWeek,
+    totalImpact,
+  };
+  return { result, savingsByWeek, firstBreakdownByWeek };
+}
+
+export default {
+  id: "deferpm",
+  label: "Defer Preventive Maintenance",
+  title: "Defer PM inputs",
+  help: "Expected value weighs PM savings against the chance of a breakdown. Worst case assumes the line breaks down in the first deferred week.",
+  assumptions: [
+    "Each deferred week saves the weekly PM labor (at labor cost) and parts, as long as the line has not broken down yet.",
+    "The chance of a breakdown in deferred week n is n × the weekly increase; the first breakdown ends the deferral.",
+    "A breakdown costs the repair cost plus the margin on output lost during repair downtime.",
+    "Worst case: the line breaks down in the first deferred week.",
+  ],
+  inputs: [
+    { key: "pmDeferWeeks", label: "Defer PM by", unit: "{periods}", step: 1, default: 4, min: 0, time: "span" },
+    { key: "pmLaborHoursPerWeek", label: "PM labor saved", unit: "hrs/{period}", step: 0.5, default: 6, min: 0, time: "rate" },
+    { key: "pmPartsPerWeek", label: "PM parts saved", unit: "$/{period}", step: 50, default: 300, min: 0, time: "rate" },
+    { key: "failureProbIncreasePct", label: "Failure probability increase", unit: "pp per deferred {period}", step: 0.5, default: 3, min: 0, max: 100, time: "rate" },
+    { key: "repairHours", label: "Expected repair downtime", unit: "hrs", step: 1, default: 12, min: 0 },
+    { key: "repairCost", label: "Expected repair cost", unit: "$", step: 500, default: 8000, min: 0 },
+  ],
+  kpis: [
+    ...IMPACT_KPIS,
+    { key: "breakdownRiskPct", title: "Breakdown probability", format: "percent" },
+    { key: "worstCaseImpact", title: "Worst case (breakdown)", format: "money" },
+  ],
+  calculate(inputs) {
+    return deferPmModel(inputs).result;
+  },
+  weekly(inputs) {
+    const { result, savingsByWeek, firstBreakdownByWeek } = deferPmModel(inputs);
+    const weeks = Math.max(1, Math.ceil(num(inputs.horizonWeeks)));
+    let cumulative = 0;
+    const rows = Array.from({ length: weeks }, (_, i) => {
+      const savings = savingsByWeek[i] ?? 0;
+      const chance = firstBreakdownByWeek[i] ?? 0;
+      const expectedCost = chance * result.breakdownCost;
+      const net = savings - expectedCost;
+      cumulative += net;
+      return { week: i + 1, savings, chancePct: chance * 100, expectedCost, net, cumulative };
+    });
+    return {
+      columns: [
+        { key: "week", title: "Week", format: "number" },
+        { key: "savings", title: "Expected PM savings", format: "money" },
+        { key: "chancePct", title: "Chance of first breakdown", format: "percent" },
+        { key: "expectedCost", title: "Expected breakdown cost", format: "money" },
+        { key: "net", title: "Net impact", format: "money" },
+        { key: "cumulative", title: "Cumulative impact", format: "money" },
+      ],
+      rows,
+    };
+  },
+};
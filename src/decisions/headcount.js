@@ -0,0 +1,116 @@
+import { IMPACT_KPIS, baselineCalc, num, throughputCalc } from "./common.js";
+
+function headcountModel(inputs) {
+  const baseline = baselineCalc(inputs);
+  const horizon = num(inputs.horizonWeeks);
+  const oh = 1 + num(inputs.overheadPct) / 100;
+  const crew = num(inputs.currentCrew);
+  const cut = Math.min(Math.max(0, num(inputs.headcountReduction)), crew);
+  const newCrew = crew - cut;
+
+  // Each person works the planned runtime; the cut removes their paid hours
+  const laborSavings = cut * num(inputs.runtimePerWeek) * num(inputs.laborRate) * oh;
+
+  // Staffing-to-rate curve: rate = (staffing ratio) ^ elasticity; no crew means nobody to cut
+  const staffingRatio = crew > 0 ? newCrew / crew : 1;
+  const rateFactor = staffingRatio > 0 ? Math.pow(staffingRatio, num(inputs.staffingElasticity)) : 0;
+  const lostUnits = baseline.units * (1 - rateFactor);
+
+  // Remaining crew runs extra line hours on OT to claw back output
+  const backfillCost =
+    num(inputs.backfillOtHours) * newCrew * num(inputs.laborRate) * num(inputs.backfillOtPremium) * oh;
+  const recoveredUnits = Math.min(
+    lostUnits,
+    num(inputs.backfillOtHours) * baseline.goodUnitsPerHr * rateFactor
+  );
+
+  const deltaGoodUnits = recoveredUnits - lostUnits;
+  const throughput = throughputCalc(inputs, deltaGoodUnits);
+  const profitFromUnits = throughput.profitFromUnits;
+
+  const severanceCost = cut * num(inputs.severancePerPerson);
+
+  const totalImpact = (laborSavings - backfillCost + profitFromUnits) * horizon - severanceCost;
+  const netImpactPerWeek = horizon > 0 ? totalImpact / horizon : 0;
+
+  const result = {
+    newCrew,
+    laborSavings,
+    rateFactor,
+    lostUnits,
+    backfillCost,
+    recoveredUnits,
+    deltaGoodUnits,
+    deltaShippedUnits: throughput.deltaShippedUnits,
+    backlogEnd: throughput.backlogEnd,
+    profitFromUnits,
+    severanceCost,
+    netImpactPerWeek,
+    totalImpact,
+  };
+  return { result, throughput };
+}
+
+export default {
+  id: "headcount",
+  label: "Reduce Headcount",
+  title: "Reduce headcount inputs",
+  help: "Output rate scales with (new crew ÷ current crew) ^ elasticity. Use 1 if every person is on the critical path, lower if the line has slack.",
+  assumptions: [
+    "Each person removed saves the planned weekly runtime at labor cost.",
+    "Output rate falls to (new crew ÷ current crew) ^ elasticity of today's rate.",
+    "The remaining crew runs OT backfill hours at the reduced rate, recovering at most the lost output.",
+    "Severance is paid once and spread over the horizon.",
+  ],
+  inputs: [
+    { key: "currentCrew", label: "Current crew", unit: "people", step: 1, default: 10, min: 0, required: true },
+    { key: "headcountReduction", label: "Headcount reduction", unit: "people", step: 1, default: 1, min: 0 },
+    { key: "staffingElasticity", label: "Staffing-to-rate elasticity", unit: "exponent", step: 0.1, default: 0.6, min: 0 },
+    { key: "severancePerPerson", label: "Severance per person", unit: "$", step: 500, default: 5000, min: 0 },
+    { key: "backfillOtHours", label: "OT backfill", unit: "line hrs/{period}", step: 0.5, default: 4, min: 0, time: "rate" },
+    { key: "backfillOtPremium", label: "Backfill OT premium", unit: "multiplier", step: 0.1, default: 1.5, min: 1 },
+  ],
+  kpis: [
+    ...IMPACT_KPIS,
+    { key: "laborSavings", title: "Labor savings / {period}", format: "money", time: "rate" },
+    { key: "deltaGoodUnits", title: "Δ Good units / {period}", format: "units", time: "rate" },
+  ],
+  usage(inputs, result) {
+    // Backfill is quoted in line hours; every remaining crew member works them
+    return { otHoursPerWeek: num(inputs.backfillOtHours) * result.newCrew };
+  },
+  calculate(inputs) {
+    return headcountModel(inputs).result;
+  },
+  weekly(inputs) {
+    const { result, throughput } = headcountModel(inputs);
+    let cumulative = 0;
+    const rows = throughput.weeklyProfit.map((profit, i) => {
+      const share = throughput.shares[i];
+      const severance = i === 0 ? result.severanceCost : 0;
+      const net = (result.laborSavings - result.backfillCost) * share + profit - severance;
+      cumulative += net;
+      return {
+        week: i + 1,
+        laborSavings: result.laborSavings * share,
+        backfillCost: result.backfillCost * share,
+        severance,
+        profit,
+        net,
+        cumulative,
+      };
+    });
+    return {
+      columns: [
+        { key: "week", title: "Week", format: "number" },
+        { key: "laborSavings", title: "Labor savings", format: "money" },
+        { key: "backfillCost", title: "Backfill OT cost", format: "money" },
+        { key: "severance", title: "Severance", format: "money" },
+        { key: "profit", title: "Profit from units", format: "money" },
+        { key: "net", title: "Net impact", format: "money" },
+        { key: "cumulative", title: "Cumulative impact", format: "money" },
+      ],
+      rows,
+    };
+  },
+};
@@ -0,0 +1,129 @@
+// Decision registry. Each decision module declares:
+//   id, label        – shown in the "Decision type" select
+//   title, help      – heading and footnote of its input card
+//   inputs           – schema: { key, label, unit, step, default, min?, max?, required?, time? }
+//   kpis             – Results card tiles: { key, title, format: money | units | percent | number, time? }
+//                       `time` is "rate" for per-week amounts and "span" for a number of weeks;
+//                       they are shown in the chosen time base, and labels may use {period} /
+//                       {periods} for its name. All text is English and translated in src/locales.
+//   assumptions      – plain-language statements printed in the leadership report
+//   calculate(inputs) – pure function of common + decision inputs, returns at least
+//                       { netImpactPerWeek, totalImpact } plus every kpi key
+//   weekly(inputs)   – optional week-by-week breakdown { columns, rows } for exports;
+//                       without it each week shows the average net impact
+//   usage(inputs, result) – optional plant-wide resources the decision consumes,
+//                       { otHoursPerWeek?, capexWithinHorizon? }, checked in portfolio mode
+// To add a site-specific decision, create a module like overtime.js and list it below.
+import { COMMON_INPUTS } from "./common.js";
+import overtime from "./overtime.js";
+import temp from "./temp.js";
+import headcount from "./headcount.js";
+import deferpm from "./deferpm.js";
+import rate from "./rate.js";
+import capex from "./capex.js";
+
+export { COMMON_ASSUMPTIONS, COMMON_INPUTS, IMPACT_KPIS, baselineCalc, horizonShares, num } from "./common.js";
+
+export const DECISIONS = [overtime, temp, headcount, deferpm, rate, capex];
+
+export function getDecision(id) {
+  return DECISIONS.find((d) => d.id === id) || null;
+}
+
+function schemaDefaults(schema) {
+  return Object.fromEntries(schema.map((f) => [f.key, f.default]));
+}
+
+// Input values grouped as { common: {...}, [decisionId]: {...} }
+export function defaultValues() {
+  const values = { common: schemaDefaults(COMMON_INPUTS) };
+  for (const d of DECISIONS) values[d.id] = schemaDefaults(d.inputs);
+  return values;
+}
+
+// A copy of one input group with fields cleared while typing ("") set back to their
+// schema defaults, as share links and the CLI already treat them
+export function fillBlanks(schema, group) {
+  const filled = { ...group };
+  for (const f of schema) if (filled[f.key] === "" || filled[f.key] == null) filled[f.key] = f.default;
+  return filled;
+}
+
+// Flat input object handed to a decision's calculate(); blank fields count as their
+// defaults, so a result never differs from the scenario saved from it
+export function inputsFor(decision, values) {
+  return { ...fillBlanks(COMMON_INPUTS, values.common), ...fillBlanks(decision.inputs, values[decision.id]) };
+}
+
+// Headless entry point: runs one decision from a flat object of inputs, as used by the
+// CLI and tests. Missing or blank inputs take their schema defaults; unknown keys and
+// non-numeric values are reported as problems rather than guessed at.
+export function evaluate(decisionId, inputs = {}) {
+  const decision = getDecision(decisionId);
+  if (!decision) return { decision: null, inputs: null, result: null, problems: [`Unknown decision type "${decisionId}".`] };
+
+  const values = defaultValues();
+  const problems = [];
+  for (const [key, v] of Object.entries(inputs)) {
+    const group = COMMON_INPUTS.some((f) => f.key === key)
+      ? "common"
+      : decision.inputs.some((f) => f.key === key)
+        ? decision.id
+        : null;
+    if (!group) {
+      problems.push(`Unknown input "${key}" for ${decision.label}.`);
+      continue;
+    }
+    if (v === "" || v == null) continue;
+    const n = typeof v === "number" ? v : Number(v);
+    if (!Number.isFinite(n)) {
+      problems.push(`Input "${key}" must be a number, got ${JSON.stringify(v)}.`);
+      continue;
+    }
+    values[group][key] = n;
+  }
+  problems.push(
+    ...validateInputs(COMMON_INPUTS, values.common),
+    ...validateInputs(decision.inputs, values[decision.id])
+  );
+
+  const flat = inputsFor(decision, values);
+  return { decision, inputs: flat, result: problems.length ? null : decision.calculate(flat), problems };
+}
+
+// English wording in weeks, for callers without a locale (evaluate(), the CLI, tests).
+// The app passes createLocale() from src/locale.js, which has the same methods and
+// translates; the registry itself stays free of catalogs.
+const WEEKS = { period: "week", periods: "weeks" };
+const fill = (text, vars) => text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+
+export const PLAIN_TEXT = {
+  t: (text, vars = {}) => fill(text, { ...WEEKS, ...vars }),
+  fieldName: (field) => fill(field.label, WEEKS),
+  lower: (text) => text.toLowerCase(),
+  toDisplay: (time, v) => v,
+  formatNumber: (v) => String(v),
+};
+
+// Returns human-readable problems; an empty list means the inputs are usable.
+// Limits are quoted in the locale's time base, as the user entered them.
+export function validateInputs(schema, values, loc = PLAIN_TEXT) {
+  const { t } = loc;
+  const limit = (f, v) => loc.formatNumber(loc.toDisplay(f.time, v));
+  const problems = [];
+  const missing = schema.filter((f) => f.required && !(Number(values[f.key]) > 0));
+  if (missing.length) {
+    problems.push(t("Please enter: {fields}.", { fields: missing.map((f) => loc.lower(loc.fieldName(f))).join(", ") }));
+  }
+  for (const f of schema) {
+    const v = values[f.key];
+    if (v === "" || v == null || f.required && !(Number(v) > 0)) continue;
+    if (f.min != null && Number(v) < f.min) {
+      problems.push(t("{field} must be at least {min}.", { field: loc.fieldName(f), min: limit(f, f.min) }));
+    }
+    if (f.max != null && Number(v) > f.max) {
+      problems.push(t("{field} must be at most {max}.", { field: loc.fieldName(f), max: limit(f, f.max) }));
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,90 @@
+import { IMPACT_KPIS, baselineCalc, num, throughputCalc } from "./common.js";
+
+function overtimeModel(inputs) {
+  const baseline = baselineCalc(inputs);
+
+  // Costs
+  const oh = 1 + num(inputs.overheadPct) / 100;
+  const otLaborCost = num(inputs.otHours) * num(inputs.laborRate) * num(inputs.otPremium) * oh;
+
+  // Impacts
+  const perfDeltaUnits = baseline.units * (num(inputs.fatiguePerfDeltaPct) / 100);
+  const scrapDeltaUnits = baseline.units * (num(inputs.fatigueScrapDeltaPp) / 100);
+  const downtimeDeltaUnits = num(inputs.fatigueDowntimeDeltaHr) * baseline.goodUnitsPerHr;
+
+  // Net good units delta (simple directional model)
+  const deltaGoodUnits = perfDeltaUnits - scrapDeltaUnits - downtimeDeltaUnits;
+
+  // Profit impact of the units that actually ship (cost-only when no price is given)
+  const throughput = throughputCalc(inputs, deltaGoodUnits);
+  const profitFromUnits = throughput.profitFromUnits;
+
+  const netImpactPerWeek = profitFromUnits - otLaborCost;
+  const totalImpact = netImpactPerWeek * num(inputs.horizonWeeks);
+
+  const result = {
+    otLaborCost,
+    perfDeltaUnits,
+    scrapDeltaUnits,
+    downtimeDeltaUnits,
+    deltaGoodUnits,
+    deltaShippedUnits: throughput.deltaShippedUnits,
+    backlogEnd: throughput.backlogEnd,
+    profitFromUnits,
+    netImpactPerWeek,
+    totalImpact,
+  };
+  return { result, throughput };
+}
+
+export default {
+  id: "overtime",
+  label: "Add Overtime",
+  title: "Overtime inputs",
+  help: "Tip: If you don’t have good estimates, set fatigue deltas to 0 to view pure labor cost impact.",
+  assumptions: [
+    "Overtime hours are paid at labor cost × OT premium.",
+    "Fatigue changes output of the whole week: productivity by a %, scrap by percentage points, plus lost downtime hours.",
+    "Overtime hours themselves add no output in this model; it shows the cost of fatigue on the regular schedule.",
+  ],
+  inputs: [
+    { key: "otHours", label: "Overtime hours", unit: "hrs/{period}", step: 1, default: 10, min: 0, time: "rate" },
+    { key: "otPremium", label: "OT premium", unit: "multiplier", step: 0.1, default: 1.5, min: 1 },
+    { key: "fatiguePerfDeltaPct", label: "Fatigue productivity delta", unit: "%", step: 0.5, default: -3, min: -100, max: 100 },
+    { key: "fatigueScrapDeltaPp", label: "Fatigue scrap delta", unit: "pp", step: 0.1, default: 0.5, min: -100, max: 100 },
+    { key: "fatigueDowntimeDeltaHr", label: "Fatigue downtime delta", unit: "hrs/{period}", step: 0.1, default: 0.2, time: "rate" },
+  ],
+  kpis: [
+    ...IMPACT_KPIS,
+    { key: "otLaborCost", title: "OT labor cost / {period}", format: "money", time: "rate" },
+    { key: "deltaGoodUnits", title: "Δ Good units / {period}", format: "units", time: "rate" },
+  ],
+  usage(inputs) {
+    return { otHoursPerWeek: num(inputs.otHours) };
+  },
+  calculate(inputs) {
+    return overtimeModel(inputs).result;
+  },
+  weekly(inputs) {
+    const { result, throughput } = overtimeModel(inputs);
+    let cumulative = 0;
+    const rows = throughput.weeklyProfit.map((profit, i) => {
+      const share = throughput.shares[i];
+      const laborCost = result.otLaborCost * share;
+      const net = profit - laborCost;
+      cumulative += net;
+      return { week: i + 1, goodUnits: result.deltaGoodUnits * share, laborCost, profit, net, cumulative };
+    });
+    return {
+      columns: [
+        { key: "week", title: "Week", format: "number" },
+        { key: "goodUnits", title: "Δ Good units", format: "units" },
+        { key: "laborCost", title: "OT labor cost", format: "money" },
+        { key: "profit", title: "Profit from units", format: "money" },
+        { key: "net", title: "Net impact", format: "money" },
+        { key: "cumulative", title: "Cumulative impact", format: "money" },
+      ],
+      rows,
+    };
+  },
+};
@@ -0,0 +1,97 @@
+import { IMPACT_KPIS, baselineCalc, num, throughputCalc } from "./common.js";
+
+function rateModel(inputs) {
+  const baseline = baselineCalc(inputs);
+  const base = num(inputs.baselineUnitsPerHr);
+  const target = num(inputs.targetUnitsPerHr);
+  const speedUpPct = base > 0 ? (target / base - 1) * 100 : 0;
+
+  // Penalties (scrap, micro-stops, wear) are quoted per +10% speed and grow with speed
+  // (exponent 2 = quadratic)
+  const steps = Math.max(0, speedUpPct) / 10;
+  const penaltyScale = Math.pow(steps, num(inputs.speedPenaltyExponent, 1));
+
+  const scrapDeltaPp = num(inputs.speedScrapPenaltyPp) * penaltyScale;
+  const microStopMinPerHr = Math.min(60, num(inputs.speedMicroStopPenaltyMin) * penaltyScale);
+
+  // Same OEE and baseline scrap as today, plus the speed penalties
+  const ratedUnits = target * num(inputs.runtimePerWeek) * (num(inputs.baselineOeePct, 100) / 100);
+  const grossUnits = ratedUnits * (1 - microStopMinPerHr / 60);
+  const microStopUnits = ratedUnits - grossUnits;
+  const scrapDeltaUnits = grossUnits * (scrapDeltaPp / 100);
+  const goodUnits = grossUnits * (1 - (num(inputs.baselineScrapPct) + scrapDeltaPp) / 100);
+  const deltaGoodUnits = goodUnits - baseline.units;
+
+  const throughput = throughputCalc(inputs, deltaGoodUnits);
+  const profitFromUnits = throughput.profitFromUnits;
+
+  const wearCost = num(inputs.speedWearCostPerWeek) * penaltyScale;
+
+  const netImpactPerWeek = profitFromUnits - wearCost;
+  const totalImpact = netImpactPerWeek * num(inputs.horizonWeeks);
+
+  const result = {
+    speedUpPct,
+    scrapDeltaPp,
+    microStopMinPerHr,
+    microStopUnits,
+    scrapDeltaUnits,
+    deltaGoodUnits,
+    deltaShippedUnits: throughput.deltaShippedUnits,
+    backlogEnd: throughput.backlogEnd,
+    profitFromUnits,
+    wearCost,
+    netImpactPerWeek,
+    totalImpact,
+  };
+  return { result, throughput };
+}
+
+export default {
+  id: "rate",
+  label: "Increase Production Rate",
+  title: "Increase rate inputs",
+  help: "Penalties grow faster than speed: with exponent 2, a +20% speed-up costs 4× the per-10% scrap and micro-stops.",
+  assumptions: [
+    "Labor cost does not change with line speed.",
+    "Scrap, micro-stops and wear are quoted per +10% speed and grow with speed ^ penalty exponent.",
+    "Today's OEE and baseline scrap still apply at the higher speed.",
+  ],
+  inputs: [
+    { key: "targetUnitsPerHr", label: "Target output rate", unit: "units/hr", step: 1, default: 55, min: 0 },
+    { key: "speedScrapPenaltyPp", label: "Scrap penalty", unit: "pp per +10% speed", step: 0.1, default: 0.5, min: 0 },
+    { key: "speedMicroStopPenaltyMin", label: "Micro-stop penalty", unit: "min/hr per +10% speed", step: 0.5, default: 1, min: 0 },
+    { key: "speedPenaltyExponent", label: "Penalty growth exponent", unit: "1 = linear", step: 0.5, default: 2, min: 0 },
+    { key: "speedWearCostPerWeek", label: "Extra wear & maintenance", unit: "$/{period} per +10% speed", step: 50, default: 100, min: 0, time: "rate" },
+  ],
+  kpis: [
+    ...IMPACT_KPIS,
+    { key: "speedUpPct", title: "Speed-up", format: "percent" },
+    { key: "deltaGoodUnits", title: "Δ Good units / {period}", format: "units", time: "rate" },
+  ],
+  calculate(inputs) {
+    return rateModel(inputs).result;
+  },
+  weekly(inputs) {
+    const { result, throughput } = rateModel(inputs);
+    let cumulative = 0;
+    const rows = throughput.weeklyProfit.map((profit, i) => {
+      const share = throughput.shares[i];
+      const wearCost = result.wearCost * share;
+      const net = profit - wearCost;
+      cumulative += net;
+      return { week: i + 1, goodUnits: result.deltaGoodUnits * share, wearCost, profit, net, cumulative };
+    });
+    return {
+      columns: [
+        { key: "week", title: "Week", format: "number" },
+        { key: "goodUnits", title: "Δ Good units", format: "units" },
+        { key: "wearCost", title: "Extra wear & maintenance", format: "money" },
+        { key: "profit", title: "Profit from units", format: "money" },
+        { key: "net", title: "Net impact", format: "money" },
+        { key: "cumulative", title: "Cumulative impact", format: "money" },
+      ],
+      rows,
+    };
+  },
+};
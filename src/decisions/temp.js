@@ -0,0 +1,123 @@
+import { IMPACT_KPIS, baselineCalc, horizonShares, num, throughputCalc } from "./common.js";
+
+function tempModel(inputs) {
+  const baseline = baselineCalc(inputs);
+  const horizon = num(inputs.horizonWeeks);
+  const oh = 1 + num(inputs.overheadPct) / 100;
+  const tempRate = num(inputs.laborRate) * (1 + num(inputs.agencyMarkupPct) / 100) * oh;
+  const tempHours = num(inputs.tempCount) * num(inputs.tempHoursPerWeek);
+
+  // Temps staff extra line hours; a full crew is needed to run one line hour
+  const addedLineHours = num(inputs.crewSize) > 0 ? tempHours / num(inputs.crewSize) : 0;
+
+  // Learning curve: productivity and scrap recover linearly to normal by the end of the ramp
+  const ramp = Math.max(0, num(inputs.rampWeeks));
+  const startPerf = num(inputs.rampStartProductivityPct) / 100;
+  const weekUnits = (week) => {
+    const progress = ramp > 0 ? Math.min(1, week / ramp) : 1;
+    const perf = startPerf + (1 - startPerf) * progress;
+    const scrapPp = num(inputs.rampScrapDeltaPp) * (1 - progress);
+    const units = addedLineHours * baseline.goodUnitsPerHr * perf;
+    return { units, scrap: units * (scrapPp / 100) };
+  };
+
+  let rampedUnits = 0;
+  let rampScrapUnits = 0;
+  horizonShares(inputs).forEach((share, week) => {
+    const { units, scrap } = weekUnits(week);
+    rampedUnits += units * share;
+    rampScrapUnits += scrap * share;
+  });
+
+  const weeks = horizon > 0 ? horizon : 1;
+  const addedUnits = rampedUnits / weeks;
+  const scrapDeltaUnits = rampScrapUnits / weeks;
+  const deltaGoodUnits = addedUnits - scrapDeltaUnits;
+
+  // Costs: agency hours every week, onboarding + paid training hours once
+  const tempLaborCost = tempHours * tempRate;
+  const onboardingCost =
+    num(inputs.tempCount) *
+    (num(inputs.onboardingCostPerTemp) + num(inputs.trainingHoursPerTemp) * tempRate);
+
+  const throughput = throughputCalc(inputs, (week) => {
+    const { units, scrap } = weekUnits(week);
+    return units - scrap;
+  });
+  const profitFromUnits = throughput.profitFromUnits;
+
+  const totalImpact = (profitFromUnits - tempLaborCost) * horizon - onboardingCost;
+  const netImpactPerWeek = horizon > 0 ? totalImpact / horizon : 0;
+
+  const result = {
+    tempLaborCost,
+    onboardingCost,
+    addedLineHours,
+    addedUnits,
+    scrapDeltaUnits,
+    deltaGoodUnits,
+    deltaShippedUnits: throughput.deltaShippedUnits,
+    backlogEnd: throughput.backlogEnd,
+    profitFromUnits,
+    netImpactPerWeek,
+    totalImpact,
+  };
+  return { result, weekUnits, throughput, tempLaborCost, onboardingCost };
+}
+
+export default {
+  id: "temp",
+  label: "Add Temp Labor",
+  title: "Temp labor inputs",
+  help: "Productivity and scrap recover linearly to normal over the ramp. Onboarding and training are one-time costs spread over the horizon.",
+  assumptions: [
+    "Temps are paid labor cost × (1 + agency markup) for every hour, including paid training hours.",
+    "A full crew of temps is needed to run one extra line hour.",
+    "Temp productivity starts at the week-1 level and ramps linearly to a trained operator by the end of the ramp; extra scrap fades out over the same ramp.",
+    "Onboarding and training are one-time costs in week 1.",
+  ],
+  inputs: [
+    { key: "tempCount", label: "Number of temps", unit: "people", step: 1, default: 4, min: 0 },
+    { key: "tempHoursPerWeek", label: "Hours per temp", unit: "hrs/{period}", step: 1, default: 40, min: 0, time: "rate" },
+    { key: "agencyMarkupPct", label: "Agency markup over base rate", unit: "%", step: 1, default: 35, min: 0 },
+    { key: "crewSize", label: "Crew size to run the line", unit: "people", step: 1, default: 4, min: 1 },
+    { key: "rampWeeks", label: "Learning-curve ramp", unit: "{periods}", step: 1, default: 4, min: 0, time: "span" },
+    { key: "rampStartProductivityPct", label: "Week-1 productivity", unit: "% of trained", step: 5, default: 60, min: 0, max: 100 },
+    { key: "rampScrapDeltaPp", label: "Week-1 scrap delta", unit: "pp", step: 0.1, default: 2, min: 0, max: 100 },
+    { key: "onboardingCostPerTemp", label: "Onboarding cost per temp", unit: "$", step: 50, default: 400, min: 0 },
+    { key: "trainingHoursPerTemp", label: "Paid training hours per temp", unit: "hrs", step: 1, default: 8, min: 0 },
+  ],
+  kpis: [
+    ...IMPACT_KPIS,
+    { key: "tempLaborCost", title: "Temp labor cost / {period}", format: "money", time: "rate" },
+    { key: "deltaGoodUnits", title: "Δ Good units / {period}", format: "units", time: "rate" },
+  ],
+  calculate(inputs) {
+    return tempModel(inputs).result;
+  },
+  weekly(inputs) {
+    const { weekUnits, throughput, tempLaborCost, onboardingCost } = tempModel(inputs);
+    let cumulative = 0;
+    const rows = throughput.weeklyProfit.map((profit, i) => {
+      const share = throughput.shares[i];
+      const { units, scrap } = weekUnits(i);
+      const laborCost = tempLaborCost * share;
+      const onboarding = i === 0 ? onboardingCost : 0;
+      const net = profit - laborCost - onboarding;
+      cumulative += net;
+      return { week: i + 1, goodUnits: (units - scrap) * share, laborCost, onboarding, profit, net, cumulative };
+    });
+    return {
+      columns: [
+        { key: "week", title: "Week", format: "number" },
+        { key: "goodUnits", title: "Δ Good units", format: "units" },
+        { key: "laborCost", title: "Temp labor cost", format: "money" },
+        { key: "onboarding", title: "Onboarding & training", format: "money" },
+        { key: "profit", title: "Profit from units", format: "money" },
+        { key: "net", title: "Net impact", format: "money" },
+        { key: "cumulative", title: "Cumulative impact", format: "money" },
+      ],
+      rows,
+    };
+  },
+};
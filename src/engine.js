@@ -0,0 +1,34 @@
+// Headless MDIC: the decision models and analyses with no React or browser dependency.
+// Import this from Node (or any bundler) to run calculations outside the app.
+export {
+  COMMON_ASSUMPTIONS,
+  COMMON_INPUTS,
+  DECISIONS,
+  IMPACT_KPIS,
+  baselineCalc,
+  defaultValues,
+  evaluate,
+  getDecision,
+  inputsFor,
+  num,
+  validateInputs,
+} from "./decisions/index.js";
+export { throughputCalc } from "./decisions/common.js";
+export { capexCashFlows, capexDcf, irr, npv, paybackWeeks } from "./decisions/capex.js";
+export { goalSeek } from "./goalseek.js";
+export { simulate } from "./montecarlo.js";
+export { sensitivity } from "./sensitivity.js";
+export { buildReport, reportCsv, reportTables, summaryText } from "./report.js";
+export { decodeHash, encodeHash, exportScenarioFile, parseScenarioFile, SCENARIO_FILE_VERSION } from "./serialize.js";
+export { evaluatePortfolio } from "./portfolio.js";
+export { parseCsv, toCsv } from "./csv.js";
+export {
+  CURRENCIES,
+  DEFAULT_SETTINGS,
+  LOCALES,
+  TIME_BASES,
+  checkSettings,
+  createLocale,
+  normalizeSettings,
+  sharedCurrency,
+} from "./locale.js";
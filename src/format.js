@@ -0,0 +1,22 @@
+// `locale` and `currency` come from the settings panel; without them amounts are USD
+// in the browser's own number format, as before settings existed.
+export function money(n, { locale, currency = "USD" } = {}) {
+  const v = Number(n);
+  const fmt = (x, options) => x.toLocaleString(locale, { style: "currency", currency, ...options });
+  if (!Number.isFinite(v)) return fmt(0, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  // Solver and simulation round-off should not print as "-$0.00"
+  if (Math.abs(v) < 0.005) return fmt(0);
+  return fmt(v);
+}
+
+// Formats a KPI value by the `format` declared in a decision's kpis list
+export function formatKpi(value, format, options = {}) {
+  const v = Number(value);
+  if (format === "money") return money(v, options);
+  if (!Number.isFinite(v)) return "–";
+  if (format === "units") return Math.round(v).toLocaleString(options.locale);
+  if (format === "percent") {
+    return (v / 100).toLocaleString(options.locale, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  }
+  return options.locale ? v.toLocaleString(options.locale, { maximumFractionDigits: 4 }) : String(v);
+}
@@ -0,0 +1,89 @@
+// Goal seek: find the value of one input that makes a result hit a target.
+import { COMMON_INPUTS, inputsFor, validateInputs } from "./decisions/index.js";
+
+const SCAN_STEPS = 400;
+// A refined crossing only counts as a root if it gets this close to the target, relative
+// to the gap on either side of it; jumps (e.g. inputs rounded to whole weeks) do not
+const ROOT_TOLERANCE = 1e-3;
+
+// Default search interval: the field's own min/max, otherwise a wide band around today's value
+export function defaultBounds(field, current) {
+  const reach = 10 * Math.max(Math.abs(Number(current) || 0), 1);
+  return {
+    lo: field.min ?? (Number(current) || 0) - reach,
+    hi: field.max ?? (Number(current) || 0) + reach,
+  };
+}
+
+function bisect(f, a, b, fa) {
+  let lo = a;
+  let hi = b;
+  let fLo = fa;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (fMid === 0 || (hi - lo) / 2 < 1e-9 * Math.max(1, Math.abs(mid))) return mid;
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Returns { found: true, value, achieved } or { found: false, closest, achieved } where
+// `closest` is the input value that gets nearest the target inside [lo, hi].
+// The models are not always monotone, so the interval is scanned for every crossing and
+// the crossing nearest today's value wins. Crossings that turn out to be jumps over the
+// target are skipped, though they still count towards `closest`. Values the input form
+// would reject (e.g. a horizon of 0) are never reported.
+export function goalSeek(decision, values, key, { metric = "totalImpact", target = 0, lo, hi }) {
+  const inputs = inputsFor(decision, values);
+  const field = [...COMMON_INPUTS, ...decision.inputs].find((f) => f.key === key);
+  if (!field) throw new Error(`Unknown input "${key}".`);
+
+  const current = Number(inputs[key]) || 0;
+  const bounds = defaultBounds(field, current);
+  const a = Number.isFinite(lo) ? lo : bounds.lo;
+  const b = Number.isFinite(hi) ? hi : bounds.hi;
+  if (!(b > a)) return { found: false, reason: "The upper bound must be above the lower bound.", lo: a, hi: b };
+
+  const result = (x) => decision.calculate({ ...inputs, [key]: x })[metric];
+  const f = (x) => result(x) - target;
+  const schema = [...COMMON_INPUTS, ...decision.inputs];
+  const valid = (x) => validateInputs(schema, { ...inputs, [key]: x }).length === 0;
+
+  let best = null;
+  let closest = { x: a, gap: valid(a) ? Math.abs(f(a)) : Infinity };
+  let prevX = a;
+  let prevF = f(a);
+  if (prevF === 0 && valid(a)) best = a;
+
+  for (let i = 1; i <= SCAN_STEPS; i++) {
+    const x = a + ((b - a) * i) / SCAN_STEPS;
+    const fx = f(x);
+    if (!Number.isFinite(fx)) {
+      prevX = x;
+      prevF = fx;
+      continue;
+    }
+    if (Math.abs(fx) < closest.gap && valid(x)) closest = { x, gap: Math.abs(fx) };
+    let root = null;
+    if (fx === 0) root = x;
+    else if (Number.isFinite(prevF) && Math.sign(fx) !== Math.sign(prevF) && prevF !== 0) {
+      const x0 = bisect(f, prevX, x, prevF);
+      const gap = Math.abs(f(x0));
+      if (gap <= ROOT_TOLERANCE * Math.max(Math.abs(prevF), Math.abs(fx))) root = x0;
+      else if (gap < closest.gap) closest = { x: x0, gap };
+    }
+    if (root != null && !valid(root)) root = null;
+    if (root != null && (best == null || Math.abs(root - current) < Math.abs(best - current))) best = root;
+    prevX = x;
+    prevF = fx;
+  }
+
+  if (best != null) return { found: true, value: best, achieved: result(best), lo: a, hi: b };
+  return { found: false, closest: closest.x, achieved: result(closest.x), lo: a, hi: b };
+}
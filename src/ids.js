@@ -0,0 +1,4 @@
+// Ids for saved scenarios and portfolio lines; unique within one browser's storage.
+export function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
@@ -0,0 +1,200 @@
+// Locale, currency and time-base settings, and the formatters built from them.
+// Strings are translated gettext-style: the English text is the key, so anything
+// missing from a catalog simply shows in English. Templates use {name} placeholders;
+// {period} / {periods} are always available and follow the chosen time base.
+import de from "./locales/de.js";
+import es from "./locales/es.js";
+import { formatKpi, money } from "./format.js";
+
+const STORAGE_KEY = "mdic.settings";
+
+const CATALOGS = { de, es };
+
+export const LOCALES = [
+  { id: "en-US", label: "English (United States)" },
+  { id: "es-MX", label: "Español (México)" },
+  { id: "de-DE", label: "Deutsch (Deutschland)" },
+];
+
+export const CURRENCIES = ["USD", "MXN", "EUR", "CAD", "GBP"];
+
+// Models run in weeks; a time base only changes how per-week rates and spans of weeks
+// are entered and shown. Shifts take their length from `shiftsPerWeek`.
+export const TIME_BASES = {
+  week: { label: "Weeks", period: "week", periods: "weeks", weeks: 1 },
+  shift: { label: "Shifts", period: "shift", periods: "shifts", weeks: null },
+  month: { label: "Months", period: "month", periods: "months", weeks: 52 / 12 },
+};
+
+// `conversionRate` is reporting-currency units per one unit of `currency`
+export const DEFAULT_SETTINGS = {
+  locale: "en-US",
+  currency: "USD",
+  reportingCurrency: "",
+  conversionRate: "",
+  timeBase: "week",
+  shiftsPerWeek: 5,
+};
+
+function isLocale(v) {
+  try {
+    return typeof v === "string" && Intl.getCanonicalLocales(v).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+const isCurrency = (v) => typeof v === "string" && /^[A-Z]{3}$/.test(v);
+const isPositive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+// Problems with a settings object; used to reject bad scenario files and links
+export function checkSettings(s) {
+  if (!s || typeof s !== "object") return ["Settings are missing."];
+  const problems = [];
+  for (const key of Object.keys(s)) {
+    if (!(key in DEFAULT_SETTINGS)) problems.push(`Unknown setting "${key}".`);
+  }
+  if (!isLocale(s.locale)) problems.push(`Locale ${JSON.stringify(s.locale)} is not valid.`);
+  if (!isCurrency(s.currency)) problems.push(`Currency ${JSON.stringify(s.currency)} is not a 3-letter ISO code.`);
+  if (s.reportingCurrency !== "" && !isCurrency(s.reportingCurrency)) {
+    problems.push(`Reporting currency ${JSON.stringify(s.reportingCurrency)} is not a 3-letter ISO code.`);
+  }
+  if (s.conversionRate !== "" && !isPositive(s.conversionRate)) {
+    problems.push(`Conversion rate ${JSON.stringify(s.conversionRate)} must be a positive number.`);
+  }
+  if (!(s.timeBase in TIME_BASES)) problems.push(`Time base ${JSON.stringify(s.timeBase)} is not one of week, shift, month.`);
+  if (!isPositive(s.shiftsPerWeek)) problems.push(`Shifts per week ${JSON.stringify(s.shiftsPerWeek)} must be a positive number.`);
+  return problems;
+}
+
+// Fills gaps with defaults and drops anything unusable, for storage that may be stale
+export function normalizeSettings(settings) {
+  const s = { ...DEFAULT_SETTINGS };
+  if (!settings || typeof settings !== "object") return s;
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (settings[key] === undefined) continue;
+    const candidate = { ...s, [key]: settings[key] };
+    if (checkSettings(candidate).length === 0) s[key] = settings[key];
+  }
+  return s;
+}
+
+export function loadSettings() {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"));
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function storeSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage full or disabled – the choice lasts for this session
+  }
+}
+
+// Conversion factor into a shared currency for a set of scenario settings: the common
+// currency when all agree, otherwise a reporting currency every one converts into.
+// Returns null when the amounts cannot be put on one scale.
+export function sharedCurrency(settingsList) {
+  const list = settingsList.map(normalizeSettings);
+  if (list.length === 0) return null;
+  if (list.every((s) => s.currency === list[0].currency)) {
+    return { currency: list[0].currency, factors: list.map(() => 1) };
+  }
+  const target = list[0].reportingCurrency;
+  if (!target) return null;
+  const factors = list.map((s) => {
+    if (s.currency === target) return 1;
+    return s.reportingCurrency === target && s.conversionRate !== "" ? s.conversionRate : null;
+  });
+  return factors.every((f) => f != null) ? { currency: target, factors } : null;
+}
+
+function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+function separators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    group: parts.find((p) => p.type === "group")?.value ?? "",
+    decimal: parts.find((p) => p.type === "decimal")?.value ?? ".",
+  };
+}
+
+// Removes float noise from unit conversions (e.g. 43.333333333333336)
+const tidy = (v) => Number(v.toPrecision(12));
+
+export function createLocale(settings) {
+  const s = normalizeSettings(settings);
+  const catalog = CATALOGS[s.locale.split("-")[0]] || {};
+  const base = TIME_BASES[s.timeBase];
+  const weeksPerPeriod = base.weeks ?? 1 / s.shiftsPerWeek;
+  const lookup = (text) => catalog[text] ?? text;
+  const words = { period: lookup(base.period), periods: lookup(base.periods) };
+  const t = (text, vars = {}) => interpolate(lookup(text), { ...words, ...vars });
+
+  const { group, decimal } = separators(s.locale);
+  const currencySymbol =
+    new Intl.NumberFormat(s.locale, { style: "currency", currency: s.currency, currencyDisplay: "narrowSymbol" })
+      .formatToParts(0)
+      .find((p) => p.type === "currency")?.value ?? s.currency;
+  const reportingRate =
+    s.reportingCurrency && s.reportingCurrency !== s.currency && s.conversionRate !== "" ? s.conversionRate : null;
+
+  // Per-week rates scale up with the period; spans of weeks count fewer, longer periods
+  const toDisplay = (time, v) => {
+    if (v === "" || v == null || !time || weeksPerPeriod === 1) return v;
+    return tidy(time === "rate" ? Number(v) * weeksPerPeriod : Number(v) / weeksPerPeriod);
+  };
+  const fromDisplay = (time, v) => {
+    if (v === "" || v == null || !time || weeksPerPeriod === 1) return v;
+    return tidy(time === "rate" ? Number(v) / weeksPerPeriod : Number(v) * weeksPerPeriod);
+  };
+
+  // The same amount in the reporting currency, or null when none is set up
+  const reportingMoney = (v) =>
+    reportingRate ? money(Number(v) * reportingRate, { locale: s.locale, currency: s.reportingCurrency }) : null;
+
+  const unit = (field) => t(field.unit || "").split("$").join(currencySymbol);
+  const fieldName = (field) => t(field.label);
+
+  return {
+    settings: s,
+    t,
+    weeksPerPeriod,
+    currencySymbol,
+    toDisplay,
+    fromDisplay,
+    fieldName,
+    unit,
+    // Lower-cases a label for use mid-sentence; German keeps its capitalised nouns
+    lower: (text) => (s.locale.split("-")[0] === "de" ? text : text.toLocaleLowerCase(s.locale)),
+    fieldLabel: (field) => (field.unit ? `${fieldName(field)} (${unit(field)})` : fieldName(field)),
+    money: (v, currency = s.currency) => money(v, { locale: s.locale, currency }),
+    reportingMoney,
+    // For sentences: "MX$1,000.00 (≈ US$50.00)" when a reporting currency is set up
+    amount: (v) => {
+      const reported = reportingMoney(v);
+      const own = money(v, { locale: s.locale, currency: s.currency });
+      return reported ? `${own} (≈ ${reported})` : own;
+    },
+    number: (v, options) => Number(v).toLocaleString(s.locale, options),
+    // A KPI value from a model result, rescaled to the time base when it is per week
+    kpi: (k, value) => formatKpi(toDisplay(k.time, value), k.format, { locale: s.locale, currency: s.currency }),
+    formatNumber: (v) =>
+      v === "" || v == null ? "" : Number(v).toLocaleString(s.locale, { maximumFractionDigits: 4, useGrouping: false }),
+    // Reads a number typed in this locale ("1.234,5" in German); "" for blank, NaN if unreadable
+    parseNumber: (text) => {
+      let n = String(text).replace(/[\s']/g, "");
+      if (n === "") return "";
+      if (group) n = n.split(group).join("");
+      if (decimal !== ".") n = n.replace(decimal, ".");
+      n = n.replace(/^[−–]/, "-");
+      return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(n) ? Number(n) : NaN;
+    },
+  };
+}
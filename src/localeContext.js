@@ -0,0 +1,9 @@
+// The active locale (translations, currency, time base) for every card below MDIC.
+import { createContext, useContext } from "react";
+import { createLocale } from "./locale.js";
+
+export const LocaleContext = createContext(createLocale());
+
+export function useLocale() {
+  return useContext(LocaleContext);
+}
@@ -0,0 +1,416 @@
+// German. Keys are the English source strings; keep every {placeholder}.
+export default {
+  // Time bases
+  Weeks: "Wochen",
+  week: "Woche",
+  weeks: "Wochen",
+  Shifts: "Schichten",
+  shift: "Schicht",
+  shifts: "Schichten",
+  Months: "Monate",
+  month: "Monat",
+  months: "Monate",
+  "{periods}": "{periods}",
+
+  // App
+  "MDIC — Manufacturing Decision Impact Calculator": "MDIC — Rechner für die Wirkung von Fertigungsentscheidungen",
+  "Quantify the per-{period} + total business impact of common plant decisions (cost, throughput, and risk).":
+    "Beziffert die Wirkung typischer Werksentscheidungen pro {period} und gesamt (Kosten, Ausbringung und Risiko).",
+  "Single decision": "Einzelentscheidung",
+  "Portfolio (multi-line)": "Portfolio (mehrere Linien)",
+  "Decision type": "Entscheidungsart",
+  "Start with estimates. This tool is designed to be directionally correct and easy to explain to leadership.":
+    "Beginnen Sie mit Schätzungen. Das Werkzeug soll die Richtung richtig zeigen und sich der Geschäftsleitung leicht erklären lassen.",
+  "Link copied": "Link kopiert",
+  "Copy share link": "Link zum Teilen kopieren",
+  "Copy this link:": "Diesen Link kopieren:",
+  "Common inputs": "Allgemeine Eingaben",
+  Results: "Ergebnisse",
+  "Enter required inputs to see results.": "Pflichtfelder ausfüllen, um Ergebnisse zu sehen.",
+  "Decision summary:": "Zusammenfassung der Entscheidung:",
+  "Demand-limited: {shipped} of {made} Δ good units / {period} ship against demand. Backlog at the end of the horizon: {backlog} units.":
+    "Nachfragebegrenzt: {shipped} von {made} Δ Gutteilen / {period} werden gegen die Nachfrage ausgeliefert. Rückstand am Ende des Horizonts: {backlog} Stück.",
+  "Print / PDF report": "Drucken / PDF-Bericht",
+  "Export CSV": "CSV exportieren",
+  "Export XLSX": "XLSX exportieren",
+  "MfgCalc — A calculated approach to manufacturing.": "MfgCalc — Fertigung mit Kalkül.",
+  "Imported {count} scenario(s) from {file}.": "{count} Szenario(s) aus {file} importiert.",
+  "Could not import {file}: {error}": "{file} konnte nicht importiert werden: {error}",
+  "Link settings ignored: {problems}": "Einstellungen aus dem Link ignoriert: {problems}",
+  "Link uses unknown decision type \"{id}\"; showing Add Overtime instead.":
+    "Der Link verwendet die unbekannte Entscheidungsart \"{id}\"; stattdessen wird Überstunden einplanen angezeigt.",
+  "Link value for “{field}” is not a number ({raw}); using {default}.":
+    "Der Link-Wert für „{field}“ ist keine Zahl ({raw}); {default} wird verwendet.",
+
+  // Settings
+  "Region & units": "Region & Einheiten",
+  "Language & number format": "Sprache & Zahlenformat",
+  Currency: "Währung",
+  "Reporting currency": "Berichtswährung",
+  None: "Keine",
+  "Conversion rate ({reporting} per 1 {currency})": "Umrechnungskurs ({reporting} je 1 {currency})",
+  "Time basis": "Zeitbasis",
+  "Shifts per week": "Schichten pro Woche",
+  "Amounts are entered and shown in the currency above; with a reporting currency and rate, results also show the converted amount. Rates and durations are entered per {period}; the models still run week by week. These settings are saved with each scenario.":
+    "Beträge werden in der obigen Währung eingegeben und angezeigt; mit Berichtswährung und Kurs zeigen die Ergebnisse zusätzlich den umgerechneten Betrag. Raten und Dauern werden pro {period} eingegeben; die Modelle rechnen weiterhin Woche für Woche. Diese Einstellungen werden mit jedem Szenario gespeichert.",
+
+  // Validation
+  "Please enter: {fields}.": "Bitte eingeben: {fields}.",
+  "{field} must be at least {min}.": "{field} muss mindestens {min} sein.",
+  "{field} must be at most {max}.": "{field} darf höchstens {max} sein.",
+  "Unknown decision type \"{id}\".": "Unbekannte Entscheidungsart \"{id}\".",
+
+  // Report and exports
+  "Generated {date}": "Erstellt am {date}",
+  Assumptions: "Annahmen",
+  "This decision is estimated to improve results by {amount} per {period}.":
+    "Diese Entscheidung verbessert das Ergebnis voraussichtlich um {amount} pro {period}.",
+  "This decision is estimated to cost {amount} per {period}.": "Diese Entscheidung kostet voraussichtlich {amount} pro {period}.",
+  Generated: "Erstellt",
+  "Conversion rate": "Umrechnungskurs",
+  Group: "Gruppe",
+  Input: "Eingabe",
+  Unit: "Einheit",
+  Value: "Wert",
+  Result: "Ergebnis",
+  "Decision summary": "Zusammenfassung der Entscheidung",
+  "Weekly breakdown": "Wochenaufstellung",
+  Summary: "Übersicht",
+  Weekly: "Wöchentlich",
+  Week: "Woche",
+  "Net impact": "Nettowirkung",
+  "Cumulative impact": "Kumulierte Wirkung",
+
+  // Scenarios
+  Scenarios: "Szenarien",
+  "Scenario name, e.g. “10 OT hours”": "Szenarioname, z. B. „10 Überstunden“",
+  "Save current": "Aktuelles speichern",
+  "No saved scenarios yet. Saved scenarios stay in this browser.":
+    "Noch keine gespeicherten Szenarien. Gespeicherte Szenarien bleiben in diesem Browser.",
+  "Compare {name}": "{name} vergleichen",
+  Load: "Laden",
+  Delete: "Löschen",
+  "Tick 2–{max} scenarios to compare them side by side.": "2–{max} Szenarien anhaken, um sie nebeneinander zu vergleichen.",
+  "Export JSON": "JSON exportieren",
+  "Import JSON": "JSON importieren",
+  "Compare scenarios": "Szenarien vergleichen",
+  "Compare over horizon ({periods})": "Vergleich über Horizont ({periods})",
+  "{sign}{amount} vs {name}": "{sign}{amount} ggü. {name}",
+  "Recommendation:": "Empfehlung:",
+  "These scenarios use different currencies. Give them a common reporting currency and conversion rate to rank them.":
+    "Diese Szenarien verwenden unterschiedliche Währungen. Geben Sie ihnen eine gemeinsame Berichtswährung und einen Kurs, um sie zu vergleichen.",
+  "None of these scenarios can be evaluated yet.": "Keines dieser Szenarien lässt sich bisher auswerten.",
+  "Over {horizon}, “{name}” has the best total impact ({amount}).":
+    "Über {horizon} hat „{name}“ die beste Gesamtwirkung ({amount}).",
+  "each scenario’s own horizon": "den jeweiligen Horizont jedes Szenarios",
+
+  // Portfolio
+  "Line {n}": "Linie {n}",
+  "Portfolio settings": "Portfolio-Einstellungen",
+  "Time horizon ({periods})": "Zeithorizont ({periods})",
+  "Plant-wide OT cap (hrs/{period}, blank = none)": "Überstundengrenze Werk (Std./{period}, leer = keine)",
+  "CAPEX budget within horizon ({currency}, blank = none)": "CAPEX-Budget im Horizont ({currency}, leer = keines)",
+  "Each line keeps its own common inputs. Assign one saved scenario per line; its decision inputs are used with that line’s runtime, rate, costs and demand. Scenarios must be saved in {currency}.":
+    "Jede Linie behält ihre eigenen allgemeinen Eingaben. Weisen Sie jeder Linie ein gespeichertes Szenario zu; dessen Entscheidungseingaben werden mit Laufzeit, Ausbringung, Kosten und Nachfrage dieser Linie gerechnet. Szenarien müssen in {currency} gespeichert sein.",
+  "Line name": "Linienname",
+  "Scenario for {line}": "Szenario für {line}",
+  "No decision (baseline)": "Keine Entscheidung (Ausgangslage)",
+  Remove: "Entfernen",
+  "Line inputs": "Linieneingaben",
+  "{line} common inputs": "Allgemeine Eingaben {line}",
+  "Add line": "Linie hinzufügen",
+  "Save scenarios in single-decision mode first, then assign them here.":
+    "Speichern Sie zuerst Szenarien im Modus Einzelentscheidung und weisen Sie sie dann hier zu.",
+  "Portfolio roll-up": "Portfolio-Übersicht",
+  "Net impact / {period}": "Nettowirkung / {period}",
+  "Total impact (horizon)": "Gesamtwirkung (Horizont)",
+  "Plant OT hours / {period}": "Überstunden Werk / {period}",
+  "CAPEX within horizon": "CAPEX im Horizont",
+  Line: "Linie",
+  Decision: "Entscheidung",
+  "Net / {period}": "Netto / {period}",
+  "Total (horizon)": "Gesamt (Horizont)",
+  "OT hrs / {period}": "Überstd. / {period}",
+  CAPEX: "CAPEX",
+  "Assigned scenario no longer exists.": "Das zugewiesene Szenario existiert nicht mehr.",
+  "“{name}” was saved in {currency}; save it again in {portfolioCurrency} to use it here.":
+    "„{name}“ wurde in {currency} gespeichert; speichern Sie es erneut in {portfolioCurrency}, um es hier zu verwenden.",
+  "Plant-wide overtime of {hours} hrs/{period} exceeds the cap of {cap} hrs/{period}.":
+    "Die Überstunden des Werks von {hours} Std./{period} überschreiten die Grenze von {cap} Std./{period}.",
+  "CAPEX spent within the horizon ({spent}) exceeds the budget of {budget}.":
+    "Der CAPEX im Horizont ({spent}) überschreitet das Budget von {budget}.",
+
+  // Goal seek
+  "Goal seek / breakeven": "Zielwertsuche / Break-even",
+  "Solve for input": "Gesuchte Eingabe",
+  "So that": "Sodass",
+  "Equals ({currency}, 0 = breakeven)": "Gleich ({currency}, 0 = Break-even)",
+  "Search between": "Suchen zwischen",
+  "Lower bound": "Untergrenze",
+  and: "und",
+  "Upper bound": "Obergrenze",
+  "{field} = {value} gives a {metric} of {amount} (today: {today}).":
+    "{field} = {value} ergibt {metric} von {amount} (heute: {today}).",
+  "Use this value": "Diesen Wert übernehmen",
+  "No value of {field} between {lo} and {hi} reaches a {metric} of {target}. The closest is {closest}, giving {amount}. Widen the search range or pick another input.":
+    "Kein Wert für {field} zwischen {lo} und {hi} erreicht {metric} von {target}. Am nächsten kommt {closest} mit {amount}. Erweitern Sie den Suchbereich oder wählen Sie eine andere Eingabe.",
+  "Every other input stays as entered. The search scans the range and refines each crossing; when there are several, the one closest to today’s value is shown.":
+    "Alle anderen Eingaben bleiben unverändert. Die Suche tastet den Bereich ab und verfeinert jeden Schnittpunkt; gibt es mehrere, wird der dem heutigen Wert nächste angezeigt.",
+  "The upper bound must be above the lower bound.": "Die Obergrenze muss über der Untergrenze liegen.",
+
+  // Sensitivity
+  "Sensitivity (tornado)": "Sensitivität (Tornado)",
+  "Move each input by (±%)": "Jede Eingabe verändern um (±%)",
+  "Hide custom ranges": "Eigene Bereiche ausblenden",
+  "Set custom low / high": "Eigene Tief- / Hochwerte festlegen",
+  "Reset ranges": "Bereiche zurücksetzen",
+  Low: "Tief",
+  High: "Hoch",
+  "Each bar re-runs the model with one input at its low or high value and everything else unchanged. The longest bars are the estimates worth firming up first. Inputs at 0 only move with a custom range.":
+    "Jeder Balken rechnet das Modell mit einer Eingabe auf ihrem Tief- oder Hochwert und allem anderen unverändert. Die längsten Balken zeigen die Schätzungen, die sich zuerst zu präzisieren lohnen. Eingaben mit 0 bewegen sich nur mit einem eigenen Bereich.",
+  "Left out because a custom value is outside the input’s limits: {fields}.":
+    "Ausgelassen, weil ein eigener Wert außerhalb der Grenzen der Eingabe liegt: {fields}.",
+  "No input moves the total impact at this range.": "Keine Eingabe verändert die Gesamtwirkung in diesem Bereich.",
+  "Base case total impact: {amount}": "Gesamtwirkung im Basisfall: {amount}",
+  "input at low value": "Eingabe auf Tiefwert",
+  "input at high value": "Eingabe auf Hochwert",
+
+  // Uncertainty
+  "Uncertainty (Monte Carlo)": "Unsicherheit (Monte Carlo)",
+  "Enter inputs as min / most likely / max and simulate": "Eingaben als Min. / wahrscheinlichster Wert / Max. erfassen und simulieren",
+  Distribution: "Verteilung",
+  "PERT (smooth, favours most likely)": "PERT (glatt, bevorzugt den wahrscheinlichsten Wert)",
+  Triangular: "Dreieck",
+  Simulations: "Simulationen",
+  Min: "Min.",
+  "Most likely": "Wahrscheinlichster Wert",
+  Max: "Max.",
+  fixed: "fest",
+  "Simulation failed: {error}": "Simulation fehlgeschlagen: {error}",
+  "Give at least one input a min and max to see a spread.":
+    "Geben Sie mindestens einer Eingabe ein Minimum und Maximum, um eine Streuung zu sehen.",
+  "P10 total impact": "Gesamtwirkung P10",
+  "P50 total impact": "Gesamtwirkung P50",
+  "P90 total impact": "Gesamtwirkung P90",
+  "Chance of losing money": "Verlustwahrscheinlichkeit",
+  "{runs} simulations. Per {period}: P10 {p10}, P50 {p50}, P90 {p90}. P10 means a 10% chance of doing worse.":
+    "{runs} Simulationen. Pro {period}: P10 {p10}, P50 {p50}, P90 {p90}. P10 bedeutet eine Wahrscheinlichkeit von 10 % für ein schlechteres Ergebnis.",
+  "Distribution of total impact": "Verteilung der Gesamtwirkung",
+  "{field}: need min ≤ most likely ({mode}) ≤ max.": "{field}: erforderlich ist Min. ≤ wahrscheinlichster Wert ({mode}) ≤ Max.",
+
+  // Cash flow
+  Never: "Nie",
+  "{weeks} wks ({years} yrs)": "{weeks} Wo. ({years} J.)",
+  "{weeks} wks": "{weeks} Wo.",
+  "n/a": "k. A.",
+  "Discounted cash flow: buy now vs. buy after {weeks} weeks":
+    "Diskontierter Cashflow: jetzt kaufen vs. nach {weeks} Wochen kaufen",
+  "NPV — buy now": "Kapitalwert — jetzt kaufen",
+  "NPV — buy after {weeks} wks": "Kapitalwert — nach {weeks} Wo. kaufen",
+  "Payback from purchase — now / delayed": "Amortisation ab Kauf — jetzt / verschoben",
+  "IRR — now / delayed": "IZF — jetzt / verschoben",
+  "Breakeven delay:": "Break-even-Verschiebung:",
+  "Buying now already has a negative NPV over the planning period, so no delay makes it pay.":
+    "Ein Kauf jetzt hat über den Planungszeitraum bereits einen negativen Kapitalwert; keine Verschiebung macht ihn rentabel.",
+  "The purchase stays NPV-positive if it is delayed by up to {span}. Delaying {weeks} weeks changes NPV by {amount}.":
+    "Der Kauf bleibt bei einer Verschiebung um bis zu {span} kapitalwertpositiv. Eine Verschiebung um {weeks} Wochen ändert den Kapitalwert um {amount}.",
+  "Week-by-week cash flows": "Cashflows Woche für Woche",
+  "Buy now": "Jetzt kaufen",
+  "Buy later": "Später kaufen",
+  "PV buy now": "Barwert jetzt kaufen",
+  "PV buy later": "Barwert später kaufen",
+  "Cum. PV now": "Kum. Barwert jetzt",
+  "Cum. PV later": "Kum. Barwert später",
+  "Savings start after the deployment lead time and stop at end of life. If the asset outlives the planning period its straight-line book value is counted in the last week. Discounted at the cost of capital.":
+    "Einsparungen beginnen nach der Einführungszeit und enden mit der Nutzungsdauer. Überdauert die Anlage den Planungszeitraum, wird ihr linearer Buchwert in der letzten Woche angesetzt. Diskontiert mit den Kapitalkosten.",
+  "Cumulative discounted cash flow": "Kumulierter diskontierter Cashflow",
+  "Week {week}": "Woche {week}",
+  "buy now": "jetzt kaufen",
+  "buy later": "später kaufen",
+
+  // Common inputs
+  "Time horizon": "Zeithorizont",
+  "Planned runtime per {period}": "Geplante Laufzeit pro {period}",
+  hrs: "Std.",
+  "Baseline output rate": "Basis-Ausbringungsrate",
+  "units/hr": "Stück/Std.",
+  "Fully burdened labor cost": "Vollkosten Arbeit",
+  "$/hr": "$/Std.",
+  "Overhead add-on": "Gemeinkostenzuschlag",
+  "%": "%",
+  "Selling price": "Verkaufspreis",
+  "$/unit, optional": "$/Stück, optional",
+  "Contribution margin": "Deckungsbeitrag",
+  "Baseline OEE on output rate": "Basis-OEE auf die Ausbringungsrate",
+  "Baseline scrap": "Basis-Ausschuss",
+  "Customer demand": "Kundennachfrage",
+  "units/{period}, 0 = sell all": "Stück/{period}, 0 = alles verkaufen",
+  "Finished-goods inventory": "Fertigwarenbestand",
+  units: "Stück",
+  "Late penalty": "Verzugsstrafe",
+  "$/unit per {period} late": "$/Stück je {period} Verzug",
+  "Good units per hour = output rate × OEE × (1 − baseline scrap).":
+    "Gutteile pro Stunde = Ausbringungsrate × OEE × (1 − Basis-Ausschuss).",
+  "Extra good units earn selling price × contribution margin only when they ship; with no price entered the result is cost-only.":
+    "Zusätzliche Gutteile bringen Verkaufspreis × Deckungsbeitrag nur, wenn sie ausgeliefert werden; ohne Preis zeigt das Ergebnis nur Kosten.",
+  "When customer demand is entered, unmet demand carries over as backlog and costs the late penalty each week; finished-goods inventory is used first.":
+    "Ist eine Kundennachfrage eingetragen, wird nicht gedeckte Nachfrage als Rückstand übertragen und kostet jede Woche die Verzugsstrafe; zuerst wird der Fertigwarenbestand verwendet.",
+  "Labor costs include the overhead add-on.": "Arbeitskosten enthalten den Gemeinkostenzuschlag.",
+
+  // Add Overtime
+  "Add Overtime": "Überstunden einplanen",
+  "Overtime inputs": "Eingaben Überstunden",
+  "Tip: If you don’t have good estimates, set fatigue deltas to 0 to view pure labor cost impact.":
+    "Tipp: Ohne gute Schätzungen die Ermüdungseffekte auf 0 setzen, um nur die Wirkung auf die Arbeitskosten zu sehen.",
+  "Overtime hours": "Überstunden",
+  "hrs/{period}": "Std./{period}",
+  "OT premium": "Überstundenzuschlag",
+  multiplier: "Faktor",
+  "Fatigue productivity delta": "Produktivitätsänderung durch Ermüdung",
+  "Fatigue scrap delta": "Ausschussänderung durch Ermüdung",
+  pp: "Pp.",
+  "Fatigue downtime delta": "Stillstandsänderung durch Ermüdung",
+  "Overtime hours are paid at labor cost × OT premium.": "Überstunden werden mit Arbeitskosten × Überstundenzuschlag bezahlt.",
+  "Fatigue changes output of the whole week: productivity by a %, scrap by percentage points, plus lost downtime hours.":
+    "Ermüdung verändert die Ausbringung der ganzen Woche: Produktivität um einen Prozentsatz, Ausschuss um Prozentpunkte, dazu verlorene Stillstandsstunden.",
+  "Overtime hours themselves add no output in this model; it shows the cost of fatigue on the regular schedule.":
+    "Die Überstunden selbst bringen in diesem Modell keine Ausbringung; es zeigt die Kosten der Ermüdung im Regelbetrieb.",
+  "OT labor cost / {period}": "Überstundenkosten / {period}",
+  "Δ Good units / {period}": "Δ Gutteile / {period}",
+  "OT labor cost": "Überstundenkosten",
+
+  // Add Temp Labor
+  "Add Temp Labor": "Leiharbeit einsetzen",
+  "Temp labor inputs": "Eingaben Leiharbeit",
+  "Productivity and scrap recover linearly to normal over the ramp. Onboarding and training are one-time costs spread over the horizon.":
+    "Produktivität und Ausschuss erreichen über die Einarbeitung linear den Normalwert. Einarbeitung und Schulung sind einmalige Kosten, verteilt über den Horizont.",
+  "Number of temps": "Anzahl Leiharbeitskräfte",
+  people: "Personen",
+  "Hours per temp": "Stunden je Leiharbeitskraft",
+  "Agency markup over base rate": "Agenturaufschlag auf den Grundsatz",
+  "Crew size to run the line": "Besatzung für den Linienbetrieb",
+  "Learning-curve ramp": "Einarbeitungszeit",
+  "Week-1 productivity": "Produktivität in Woche 1",
+  "% of trained": "% einer eingearbeiteten Kraft",
+  "Week-1 scrap delta": "Ausschussänderung in Woche 1",
+  "Onboarding cost per temp": "Einarbeitungskosten je Leiharbeitskraft",
+  $: "$",
+  "Paid training hours per temp": "Bezahlte Schulungsstunden je Leiharbeitskraft",
+  "Temps are paid labor cost × (1 + agency markup) for every hour, including paid training hours.":
+    "Leiharbeitskräfte kosten Arbeitskosten × (1 + Agenturaufschlag) für jede Stunde, einschließlich bezahlter Schulungsstunden.",
+  "A full crew of temps is needed to run one extra line hour.":
+    "Für eine zusätzliche Linienstunde ist eine vollständige Besatzung aus Leiharbeitskräften nötig.",
+  "Temp productivity starts at the week-1 level and ramps linearly to a trained operator by the end of the ramp; extra scrap fades out over the same ramp.":
+    "Die Produktivität beginnt auf dem Niveau von Woche 1 und steigt bis zum Ende der Einarbeitung linear auf die einer eingearbeiteten Kraft; zusätzlicher Ausschuss läuft im selben Zeitraum aus.",
+  "Onboarding and training are one-time costs in week 1.": "Einarbeitung und Schulung sind einmalige Kosten in Woche 1.",
+  "Temp labor cost / {period}": "Leiharbeitskosten / {period}",
+  "Δ Good units": "Δ Gutteile",
+  "Temp labor cost": "Leiharbeitskosten",
+  "Onboarding & training": "Einarbeitung & Schulung",
+  "Profit from units": "Gewinn aus Stückzahlen",
+
+  // Reduce Headcount
+  "Reduce Headcount": "Personal abbauen",
+  "Reduce headcount inputs": "Eingaben Personalabbau",
+  "Output rate scales with (new crew ÷ current crew) ^ elasticity. Use 1 if every person is on the critical path, lower if the line has slack.":
+    "Die Ausbringungsrate skaliert mit (neue Besatzung ÷ heutige Besatzung) ^ Elastizität. 1 verwenden, wenn jede Person auf dem kritischen Pfad liegt, weniger, wenn die Linie Reserven hat.",
+  "Current crew": "Heutige Besatzung",
+  "Headcount reduction": "Personalabbau",
+  "Staffing-to-rate elasticity": "Elastizität der Ausbringung zur Besetzung",
+  exponent: "Exponent",
+  "Severance per person": "Abfindung je Person",
+  "OT backfill": "Ausgleichsüberstunden",
+  "line hrs/{period}": "Linienstd./{period}",
+  "Backfill OT premium": "Zuschlag für Ausgleichsüberstunden",
+  "Each person removed saves the planned weekly runtime at labor cost.":
+    "Jede abgebaute Person spart die geplante wöchentliche Laufzeit zu Arbeitskosten.",
+  "Output rate falls to (new crew ÷ current crew) ^ elasticity of today's rate.":
+    "Die Ausbringungsrate sinkt auf (neue Besatzung ÷ heutige Besatzung) ^ Elastizität der heutigen Rate.",
+  "The remaining crew runs OT backfill hours at the reduced rate, recovering at most the lost output.":
+    "Die verbleibende Besatzung leistet Ausgleichsüberstunden zur reduzierten Rate und holt höchstens die verlorene Ausbringung auf.",
+  "Severance is paid once and spread over the horizon.": "Abfindungen werden einmalig gezahlt und über den Horizont verteilt.",
+  "Labor savings / {period}": "Personalkosteneinsparung / {period}",
+  "Labor savings": "Personalkosteneinsparung",
+  "Backfill OT cost": "Kosten der Ausgleichsüberstunden",
+  Severance: "Abfindung",
+
+  // Defer Preventive Maintenance
+  "Defer Preventive Maintenance": "Vorbeugende Wartung verschieben",
+  "Defer PM inputs": "Eingaben Wartungsverschiebung",
+  "Expected value weighs PM savings against the chance of a breakdown. Worst case assumes the line breaks down in the first deferred week.":
+    "Der Erwartungswert wägt die Wartungseinsparung gegen die Ausfallwahrscheinlichkeit ab. Der ungünstigste Fall nimmt einen Ausfall in der ersten verschobenen Woche an.",
+  "Defer PM by": "Wartung verschieben um",
+  "PM labor saved": "Eingesparte Wartungsarbeit",
+  "PM parts saved": "Eingesparte Wartungsteile",
+  "$/{period}": "$/{period}",
+  "Failure probability increase": "Anstieg der Ausfallwahrscheinlichkeit",
+  "pp per deferred {period}": "Pp. je {period} Verschiebung",
+  "Expected repair downtime": "Erwarteter Reparaturstillstand",
+  "Expected repair cost": "Erwartete Reparaturkosten",
+  "Each deferred week saves the weekly PM labor (at labor cost) and parts, as long as the line has not broken down yet.":
+    "Jede verschobene Woche spart die wöchentliche Wartungsarbeit (zu Arbeitskosten) und die Teile, solange die Linie noch nicht ausgefallen ist.",
+  "The chance of a breakdown in deferred week n is n × the weekly increase; the first breakdown ends the deferral.":
+    "Die Ausfallwahrscheinlichkeit in der verschobenen Woche n ist n × der wöchentliche Anstieg; der erste Ausfall beendet die Verschiebung.",
+  "A breakdown costs the repair cost plus the margin on output lost during repair downtime.":
+    "Ein Ausfall kostet die Reparatur plus den Deckungsbeitrag der im Reparaturstillstand verlorenen Ausbringung.",
+  "Worst case: the line breaks down in the first deferred week.": "Ungünstigster Fall: Die Linie fällt in der ersten verschobenen Woche aus.",
+  "Breakdown probability": "Ausfallwahrscheinlichkeit",
+  "Worst case (breakdown)": "Ungünstigster Fall (Ausfall)",
+  "Expected PM savings": "Erwartete Wartungseinsparung",
+  "Chance of first breakdown": "Wahrscheinlichkeit des ersten Ausfalls",
+  "Expected breakdown cost": "Erwartete Ausfallkosten",
+
+  // Increase Production Rate
+  "Increase Production Rate": "Produktionsrate erhöhen",
+  "Increase rate inputs": "Eingaben Ratenerhöhung",
+  "Penalties grow faster than speed: with exponent 2, a +20% speed-up costs 4× the per-10% scrap and micro-stops.":
+    "Die Nachteile wachsen schneller als die Geschwindigkeit: Mit Exponent 2 kostet +20 % Geschwindigkeit das 4-Fache an Ausschuss und Kurzstillständen je 10 %.",
+  "Target output rate": "Ziel-Ausbringungsrate",
+  "Scrap penalty": "Ausschussnachteil",
+  "pp per +10% speed": "Pp. je +10 % Geschwindigkeit",
+  "Micro-stop penalty": "Kurzstillstandsnachteil",
+  "min/hr per +10% speed": "Min./Std. je +10 % Geschwindigkeit",
+  "Penalty growth exponent": "Wachstumsexponent der Nachteile",
+  "1 = linear": "1 = linear",
+  "Extra wear & maintenance": "Zusätzlicher Verschleiß & Wartung",
+  "$/{period} per +10% speed": "$/{period} je +10 % Geschwindigkeit",
+  "Labor cost does not change with line speed.": "Die Arbeitskosten ändern sich nicht mit der Liniengeschwindigkeit.",
+  "Scrap, micro-stops and wear are quoted per +10% speed and grow with speed ^ penalty exponent.":
+    "Ausschuss, Kurzstillstände und Verschleiß gelten je +10 % Geschwindigkeit und wachsen mit Geschwindigkeit ^ Nachteilsexponent.",
+  "Today's OEE and baseline scrap still apply at the higher speed.":
+    "Heutige OEE und Basis-Ausschuss gelten auch bei höherer Geschwindigkeit.",
+  "Speed-up": "Beschleunigung",
+
+  // Delay CAPEX Purchase
+  "Delay CAPEX Purchase": "CAPEX-Kauf verschieben",
+  "Delay CAPEX inputs": "Eingaben CAPEX-Verschiebung",
+  "Total impact is the cash effect within your time horizon: capital cost avoided minus savings missed. The lifetime NPV impact covers the whole planning period, including salvage.":
+    "Die Gesamtwirkung ist der Zahlungseffekt im Zeithorizont: vermiedene Kapitalkosten abzüglich entgangener Einsparungen. Die Kapitalwertwirkung über die Lebensdauer umfasst den ganzen Planungszeitraum einschließlich Restwert.",
+  "CAPEX amount": "CAPEX-Betrag",
+  "Expected annual savings": "Erwartete jährliche Einsparung",
+  "$/yr": "$/Jahr",
+  "Deployment lead time": "Einführungszeit",
+  "Cost of capital": "Kapitalkosten",
+  "%/yr, optional": "%/Jahr, optional",
+  "Purchase delay": "Kaufverschiebung",
+  "Useful life": "Nutzungsdauer",
+  years: "Jahre",
+  "Salvage value at end of life": "Restwert am Ende der Nutzungsdauer",
+  "Planning period for NPV": "Planungszeitraum für den Kapitalwert",
+  "Within the horizon, delaying avoids the capital cost of the CAPEX amount (simple interest) but misses savings that buying now would have delivered after the lead time.":
+    "Im Horizont vermeidet die Verschiebung die Kapitalkosten des CAPEX-Betrags (einfache Verzinsung), verpasst aber Einsparungen, die ein Kauf jetzt nach der Einführungszeit gebracht hätte.",
+  "Lifetime NPV compares buying now with buying after the delay over the planning period, discounted weekly at the cost of capital.":
+    "Der Kapitalwert über die Lebensdauer vergleicht Kauf jetzt mit Kauf nach der Verschiebung über den Planungszeitraum, wöchentlich mit den Kapitalkosten diskontiert.",
+  "Savings run from the end of the lead time to the end of the useful life; salvage is received at end of life, otherwise straight-line book value counts at the end of the planning period.":
+    "Einsparungen laufen vom Ende der Einführungszeit bis zum Ende der Nutzungsdauer; der Restwert fließt am Ende der Nutzungsdauer zu, sonst zählt der lineare Buchwert am Ende des Planungszeitraums.",
+  "Lost savings (within horizon)": "Entgangene Einsparungen (im Horizont)",
+  "Lifetime NPV impact of delay": "Kapitalwertwirkung der Verschiebung über die Lebensdauer",
+  "Cash — buy now": "Zahlungen — jetzt kaufen",
+  "Cash — buy later": "Zahlungen — später kaufen",
+  "PV — buy now": "Barwert — jetzt kaufen",
+  "PV — buy later": "Barwert — später kaufen",
+  "Cumulative PV — buy now": "Kumulierter Barwert — jetzt kaufen",
+  "Cumulative PV — buy later": "Kumulierter Barwert — später kaufen",
+  "Saved before Delay CAPEX credited the capital cost avoided while waiting; its total impact now includes that credit and differs from the original.":
+    "Gespeichert, bevor CAPEX-Kauf verschieben die während des Wartens vermiedenen Kapitalkosten gutschrieb; die Gesamtwirkung enthält diese Gutschrift jetzt und weicht vom Original ab.",
+};
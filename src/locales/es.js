@@ -0,0 +1,415 @@
+// Spanish (Mexico). Keys are the English source strings; keep every {placeholder}.
+export default {
+  // Time bases
+  Weeks: "Semanas",
+  week: "semana",
+  weeks: "semanas",
+  Shifts: "Turnos",
+  shift: "turno",
+  shifts: "turnos",
+  Months: "Meses",
+  month: "mes",
+  months: "meses",
+  "{periods}": "{periods}",
+
+  // App
+  "MDIC — Manufacturing Decision Impact Calculator": "MDIC — Calculadora de impacto de decisiones de manufactura",
+  "Quantify the per-{period} + total business impact of common plant decisions (cost, throughput, and risk).":
+    "Cuantifique el impacto por {period} y total de las decisiones comunes de planta (costo, producción y riesgo).",
+  "Single decision": "Decisión individual",
+  "Portfolio (multi-line)": "Portafolio (varias líneas)",
+  "Decision type": "Tipo de decisión",
+  "Start with estimates. This tool is designed to be directionally correct and easy to explain to leadership.":
+    "Empiece con estimaciones. Esta herramienta busca dar la dirección correcta y ser fácil de explicar a la dirección.",
+  "Link copied": "Enlace copiado",
+  "Copy share link": "Copiar enlace para compartir",
+  "Copy this link:": "Copie este enlace:",
+  "Common inputs": "Datos comunes",
+  Results: "Resultados",
+  "Enter required inputs to see results.": "Capture los datos obligatorios para ver los resultados.",
+  "Decision summary:": "Resumen de la decisión:",
+  "Demand-limited: {shipped} of {made} Δ good units / {period} ship against demand. Backlog at the end of the horizon: {backlog} units.":
+    "Limitado por la demanda: se embarcan {shipped} de {made} Δ unidades buenas / {period} contra la demanda. Pedidos pendientes al final del horizonte: {backlog} unidades.",
+  "Print / PDF report": "Imprimir / reporte PDF",
+  "Export CSV": "Exportar CSV",
+  "Export XLSX": "Exportar XLSX",
+  "MfgCalc — A calculated approach to manufacturing.": "MfgCalc — Un enfoque calculado de la manufactura.",
+  "Imported {count} scenario(s) from {file}.": "Se importaron {count} escenario(s) de {file}.",
+  "Could not import {file}: {error}": "No se pudo importar {file}: {error}",
+  "Link settings ignored: {problems}": "Se ignoró la configuración del enlace: {problems}",
+  "Link uses unknown decision type \"{id}\"; showing Add Overtime instead.":
+    "El enlace usa un tipo de decisión desconocido \"{id}\"; se muestra Agregar tiempo extra.",
+  "Link value for “{field}” is not a number ({raw}); using {default}.":
+    "El valor del enlace para “{field}” no es un número ({raw}); se usa {default}.",
+
+  // Settings
+  "Region & units": "Región y unidades",
+  "Language & number format": "Idioma y formato de números",
+  Currency: "Moneda",
+  "Reporting currency": "Moneda de reporte",
+  None: "Ninguna",
+  "Conversion rate ({reporting} per 1 {currency})": "Tipo de cambio ({reporting} por 1 {currency})",
+  "Time basis": "Base de tiempo",
+  "Shifts per week": "Turnos por semana",
+  "Amounts are entered and shown in the currency above; with a reporting currency and rate, results also show the converted amount. Rates and durations are entered per {period}; the models still run week by week. These settings are saved with each scenario.":
+    "Los importes se capturan y muestran en la moneda de arriba; con una moneda de reporte y un tipo de cambio, los resultados también muestran el importe convertido. Las tasas y duraciones se capturan por {period}; los modelos siguen calculando semana a semana. Esta configuración se guarda con cada escenario.",
+
+  // Validation
+  "Please enter: {fields}.": "Capture: {fields}.",
+  "{field} must be at least {min}.": "{field} debe ser al menos {min}.",
+  "{field} must be at most {max}.": "{field} debe ser como máximo {max}.",
+  "Unknown decision type \"{id}\".": "Tipo de decisión desconocido \"{id}\".",
+
+  // Report and exports
+  "Generated {date}": "Generado el {date}",
+  Assumptions: "Supuestos",
+  "This decision is estimated to improve results by {amount} per {period}.":
+    "Se estima que esta decisión mejora los resultados en {amount} por {period}.",
+  "This decision is estimated to cost {amount} per {period}.": "Se estima que esta decisión cuesta {amount} por {period}.",
+  Generated: "Generado",
+  "Conversion rate": "Tipo de cambio",
+  Group: "Grupo",
+  Input: "Dato",
+  Unit: "Unidad",
+  Value: "Valor",
+  Result: "Resultado",
+  "Decision summary": "Resumen de la decisión",
+  "Weekly breakdown": "Desglose semanal",
+  Summary: "Resumen",
+  Weekly: "Semanal",
+  Week: "Semana",
+  "Net impact": "Impacto neto",
+  "Cumulative impact": "Impacto acumulado",
+
+  // Scenarios
+  Scenarios: "Escenarios",
+  "Scenario name, e.g. “10 OT hours”": "Nombre del escenario, p. ej. “10 horas extra”",
+  "Save current": "Guardar actual",
+  "No saved scenarios yet. Saved scenarios stay in this browser.":
+    "Aún no hay escenarios guardados. Los escenarios guardados se quedan en este navegador.",
+  "Compare {name}": "Comparar {name}",
+  Load: "Cargar",
+  Delete: "Eliminar",
+  "Tick 2–{max} scenarios to compare them side by side.": "Marque de 2 a {max} escenarios para compararlos lado a lado.",
+  "Export JSON": "Exportar JSON",
+  "Import JSON": "Importar JSON",
+  "Compare scenarios": "Comparar escenarios",
+  "Compare over horizon ({periods})": "Comparar en el horizonte ({periods})",
+  "{sign}{amount} vs {name}": "{sign}{amount} vs {name}",
+  "Recommendation:": "Recomendación:",
+  "These scenarios use different currencies. Give them a common reporting currency and conversion rate to rank them.":
+    "Estos escenarios usan monedas distintas. Asígneles una moneda de reporte común y un tipo de cambio para ordenarlos.",
+  "None of these scenarios can be evaluated yet.": "Todavía no se puede evaluar ninguno de estos escenarios.",
+  "Over {horizon}, “{name}” has the best total impact ({amount}).":
+    "En {horizon}, “{name}” tiene el mejor impacto total ({amount}).",
+  "each scenario’s own horizon": "el horizonte propio de cada escenario",
+
+  // Portfolio
+  "Line {n}": "Línea {n}",
+  "Portfolio settings": "Configuración del portafolio",
+  "Time horizon ({periods})": "Horizonte de tiempo ({periods})",
+  "Plant-wide OT cap (hrs/{period}, blank = none)": "Tope de tiempo extra de la planta (h/{period}, vacío = sin tope)",
+  "CAPEX budget within horizon ({currency}, blank = none)": "Presupuesto de CAPEX en el horizonte ({currency}, vacío = sin límite)",
+  "Each line keeps its own common inputs. Assign one saved scenario per line; its decision inputs are used with that line’s runtime, rate, costs and demand. Scenarios must be saved in {currency}.":
+    "Cada línea conserva sus propios datos comunes. Asigne un escenario guardado por línea; sus datos de decisión se usan con el tiempo de operación, la tasa, los costos y la demanda de esa línea. Los escenarios deben guardarse en {currency}.",
+  "Line name": "Nombre de la línea",
+  "Scenario for {line}": "Escenario para {line}",
+  "No decision (baseline)": "Sin decisión (línea base)",
+  Remove: "Quitar",
+  "Line inputs": "Datos de la línea",
+  "{line} common inputs": "Datos comunes de {line}",
+  "Add line": "Agregar línea",
+  "Save scenarios in single-decision mode first, then assign them here.":
+    "Primero guarde escenarios en el modo de decisión individual y luego asígnelos aquí.",
+  "Portfolio roll-up": "Consolidado del portafolio",
+  "Net impact / {period}": "Impacto neto / {period}",
+  "Total impact (horizon)": "Impacto total (horizonte)",
+  "Plant OT hours / {period}": "Horas extra de la planta / {period}",
+  "CAPEX within horizon": "CAPEX en el horizonte",
+  Line: "Línea",
+  Decision: "Decisión",
+  "Net / {period}": "Neto / {period}",
+  "Total (horizon)": "Total (horizonte)",
+  "OT hrs / {period}": "H. extra / {period}",
+  CAPEX: "CAPEX",
+  "Assigned scenario no longer exists.": "El escenario asignado ya no existe.",
+  "“{name}” was saved in {currency}; save it again in {portfolioCurrency} to use it here.":
+    "“{name}” se guardó en {currency}; guárdelo de nuevo en {portfolioCurrency} para usarlo aquí.",
+  "Plant-wide overtime of {hours} hrs/{period} exceeds the cap of {cap} hrs/{period}.":
+    "El tiempo extra de la planta de {hours} h/{period} supera el tope de {cap} h/{period}.",
+  "CAPEX spent within the horizon ({spent}) exceeds the budget of {budget}.":
+    "El CAPEX gastado en el horizonte ({spent}) supera el presupuesto de {budget}.",
+
+  // Goal seek
+  "Goal seek / breakeven": "Buscar objetivo / punto de equilibrio",
+  "Solve for input": "Resolver para el dato",
+  "So that": "De modo que",
+  "Equals ({currency}, 0 = breakeven)": "Sea igual a ({currency}, 0 = punto de equilibrio)",
+  "Search between": "Buscar entre",
+  "Lower bound": "Límite inferior",
+  and: "y",
+  "Upper bound": "Límite superior",
+  "{field} = {value} gives a {metric} of {amount} (today: {today}).":
+    "{field} = {value} da un {metric} de {amount} (hoy: {today}).",
+  "Use this value": "Usar este valor",
+  "No value of {field} between {lo} and {hi} reaches a {metric} of {target}. The closest is {closest}, giving {amount}. Widen the search range or pick another input.":
+    "Ningún valor de {field} entre {lo} y {hi} alcanza un {metric} de {target}. El más cercano es {closest}, que da {amount}. Amplíe el rango de búsqueda o elija otro dato.",
+  "Every other input stays as entered. The search scans the range and refines each crossing; when there are several, the one closest to today’s value is shown.":
+    "Los demás datos se quedan como se capturaron. La búsqueda recorre el rango y afina cada cruce; si hay varios, se muestra el más cercano al valor actual.",
+  "The upper bound must be above the lower bound.": "El límite superior debe ser mayor que el inferior.",
+
+  // Sensitivity
+  "Sensitivity (tornado)": "Sensibilidad (tornado)",
+  "Move each input by (±%)": "Mover cada dato en (±%)",
+  "Hide custom ranges": "Ocultar rangos personalizados",
+  "Set custom low / high": "Definir bajo / alto personalizados",
+  "Reset ranges": "Restablecer rangos",
+  Low: "Bajo",
+  High: "Alto",
+  "Each bar re-runs the model with one input at its low or high value and everything else unchanged. The longest bars are the estimates worth firming up first. Inputs at 0 only move with a custom range.":
+    "Cada barra vuelve a calcular el modelo con un dato en su valor bajo o alto y todo lo demás sin cambios. Las barras más largas son las estimaciones que conviene afinar primero. Los datos en 0 solo se mueven con un rango personalizado.",
+  "Left out because a custom value is outside the input’s limits: {fields}.":
+    "Se omite porque un valor personalizado está fuera de los límites del dato: {fields}.",
+  "No input moves the total impact at this range.": "Ningún dato mueve el impacto total con este rango.",
+  "Base case total impact: {amount}": "Impacto total del caso base: {amount}",
+  "input at low value": "dato en valor bajo",
+  "input at high value": "dato en valor alto",
+
+  // Uncertainty
+  "Uncertainty (Monte Carlo)": "Incertidumbre (Monte Carlo)",
+  "Enter inputs as min / most likely / max and simulate": "Capturar datos como mín. / más probable / máx. y simular",
+  Distribution: "Distribución",
+  "PERT (smooth, favours most likely)": "PERT (suave, favorece el más probable)",
+  Triangular: "Triangular",
+  Simulations: "Simulaciones",
+  Min: "Mín.",
+  "Most likely": "Más probable",
+  Max: "Máx.",
+  fixed: "fijo",
+  "Simulation failed: {error}": "La simulación falló: {error}",
+  "Give at least one input a min and max to see a spread.": "Dé a al menos un dato un mínimo y un máximo para ver la dispersión.",
+  "P10 total impact": "Impacto total P10",
+  "P50 total impact": "Impacto total P50",
+  "P90 total impact": "Impacto total P90",
+  "Chance of losing money": "Probabilidad de perder dinero",
+  "{runs} simulations. Per {period}: P10 {p10}, P50 {p50}, P90 {p90}. P10 means a 10% chance of doing worse.":
+    "{runs} simulaciones. Por {period}: P10 {p10}, P50 {p50}, P90 {p90}. P10 significa un 10% de probabilidad de un resultado peor.",
+  "Distribution of total impact": "Distribución del impacto total",
+  "{field}: need min ≤ most likely ({mode}) ≤ max.": "{field}: se requiere mín. ≤ más probable ({mode}) ≤ máx.",
+
+  // Cash flow
+  Never: "Nunca",
+  "{weeks} wks ({years} yrs)": "{weeks} sem. ({years} años)",
+  "{weeks} wks": "{weeks} sem.",
+  "n/a": "n/d",
+  "Discounted cash flow: buy now vs. buy after {weeks} weeks":
+    "Flujo de efectivo descontado: comprar ahora vs. comprar después de {weeks} semanas",
+  "NPV — buy now": "VPN — comprar ahora",
+  "NPV — buy after {weeks} wks": "VPN — comprar tras {weeks} sem.",
+  "Payback from purchase — now / delayed": "Recuperación desde la compra — ahora / diferida",
+  "IRR — now / delayed": "TIR — ahora / diferida",
+  "Breakeven delay:": "Retraso de equilibrio:",
+  "Buying now already has a negative NPV over the planning period, so no delay makes it pay.":
+    "Comprar ahora ya tiene un VPN negativo en el periodo de planeación, así que ningún retraso lo hace rentable.",
+  "The purchase stays NPV-positive if it is delayed by up to {span}. Delaying {weeks} weeks changes NPV by {amount}.":
+    "La compra mantiene un VPN positivo si se retrasa hasta {span}. Retrasarla {weeks} semanas cambia el VPN en {amount}.",
+  "Week-by-week cash flows": "Flujos de efectivo semana a semana",
+  "Buy now": "Comprar ahora",
+  "Buy later": "Comprar después",
+  "PV buy now": "VP comprar ahora",
+  "PV buy later": "VP comprar después",
+  "Cum. PV now": "VP acum. ahora",
+  "Cum. PV later": "VP acum. después",
+  "Savings start after the deployment lead time and stop at end of life. If the asset outlives the planning period its straight-line book value is counted in the last week. Discounted at the cost of capital.":
+    "Los ahorros empiezan tras el tiempo de implementación y terminan al final de la vida útil. Si el activo dura más que el periodo de planeación, su valor en libros en línea recta se cuenta en la última semana. Descontado al costo de capital.",
+  "Cumulative discounted cash flow": "Flujo de efectivo descontado acumulado",
+  "Week {week}": "Semana {week}",
+  "buy now": "comprar ahora",
+  "buy later": "comprar después",
+
+  // Common inputs
+  "Time horizon": "Horizonte de tiempo",
+  "Planned runtime per {period}": "Tiempo de operación planeado por {period}",
+  hrs: "h",
+  "Baseline output rate": "Tasa de producción base",
+  "units/hr": "unidades/h",
+  "Fully burdened labor cost": "Costo de mano de obra total",
+  "$/hr": "$/h",
+  "Overhead add-on": "Cargo por gastos indirectos",
+  "%": "%",
+  "Selling price": "Precio de venta",
+  "$/unit, optional": "$/unidad, opcional",
+  "Contribution margin": "Margen de contribución",
+  "Baseline OEE on output rate": "OEE base sobre la tasa de producción",
+  "Baseline scrap": "Desperdicio base",
+  "Customer demand": "Demanda del cliente",
+  "units/{period}, 0 = sell all": "unidades/{period}, 0 = se vende todo",
+  "Finished-goods inventory": "Inventario de producto terminado",
+  units: "unidades",
+  "Late penalty": "Penalización por atraso",
+  "$/unit per {period} late": "$/unidad por {period} de atraso",
+  "Good units per hour = output rate × OEE × (1 − baseline scrap).":
+    "Unidades buenas por hora = tasa de producción × OEE × (1 − desperdicio base).",
+  "Extra good units earn selling price × contribution margin only when they ship; with no price entered the result is cost-only.":
+    "Las unidades buenas adicionales generan precio de venta × margen de contribución solo cuando se embarcan; sin precio capturado, el resultado es solo de costo.",
+  "When customer demand is entered, unmet demand carries over as backlog and costs the late penalty each week; finished-goods inventory is used first.":
+    "Si se captura la demanda del cliente, la demanda no surtida pasa como pedido pendiente y cuesta la penalización por atraso cada semana; primero se usa el inventario de producto terminado.",
+  "Labor costs include the overhead add-on.": "Los costos de mano de obra incluyen el cargo por gastos indirectos.",
+
+  // Add Overtime
+  "Add Overtime": "Agregar tiempo extra",
+  "Overtime inputs": "Datos de tiempo extra",
+  "Tip: If you don’t have good estimates, set fatigue deltas to 0 to view pure labor cost impact.":
+    "Consejo: si no tiene buenas estimaciones, ponga en 0 los efectos de fatiga para ver solo el impacto en costo de mano de obra.",
+  "Overtime hours": "Horas extra",
+  "hrs/{period}": "h/{period}",
+  "OT premium": "Prima de tiempo extra",
+  multiplier: "multiplicador",
+  "Fatigue productivity delta": "Δ de productividad por fatiga",
+  "Fatigue scrap delta": "Δ de desperdicio por fatiga",
+  pp: "pp",
+  "Fatigue downtime delta": "Δ de tiempo muerto por fatiga",
+  "Overtime hours are paid at labor cost × OT premium.": "Las horas extra se pagan a costo de mano de obra × prima de tiempo extra.",
+  "Fatigue changes output of the whole week: productivity by a %, scrap by percentage points, plus lost downtime hours.":
+    "La fatiga cambia la producción de toda la semana: la productividad en un %, el desperdicio en puntos porcentuales, más las horas perdidas por tiempo muerto.",
+  "Overtime hours themselves add no output in this model; it shows the cost of fatigue on the regular schedule.":
+    "En este modelo las horas extra no agregan producción; muestra el costo de la fatiga en el horario normal.",
+  "OT labor cost / {period}": "Costo de tiempo extra / {period}",
+  "Δ Good units / {period}": "Δ Unidades buenas / {period}",
+  "OT labor cost": "Costo de tiempo extra",
+
+  // Add Temp Labor
+  "Add Temp Labor": "Agregar personal temporal",
+  "Temp labor inputs": "Datos de personal temporal",
+  "Productivity and scrap recover linearly to normal over the ramp. Onboarding and training are one-time costs spread over the horizon.":
+    "La productividad y el desperdicio vuelven linealmente a lo normal durante la curva de aprendizaje. La incorporación y la capacitación son costos únicos repartidos en el horizonte.",
+  "Number of temps": "Número de temporales",
+  people: "personas",
+  "Hours per temp": "Horas por temporal",
+  "Agency markup over base rate": "Sobreprecio de la agencia sobre la tarifa base",
+  "Crew size to run the line": "Tamaño de cuadrilla para operar la línea",
+  "Learning-curve ramp": "Curva de aprendizaje",
+  "Week-1 productivity": "Productividad de la semana 1",
+  "% of trained": "% de un operador capacitado",
+  "Week-1 scrap delta": "Δ de desperdicio de la semana 1",
+  "Onboarding cost per temp": "Costo de incorporación por temporal",
+  $: "$",
+  "Paid training hours per temp": "Horas de capacitación pagadas por temporal",
+  "Temps are paid labor cost × (1 + agency markup) for every hour, including paid training hours.":
+    "A los temporales se les paga costo de mano de obra × (1 + sobreprecio de la agencia) por cada hora, incluidas las de capacitación pagada.",
+  "A full crew of temps is needed to run one extra line hour.":
+    "Se necesita una cuadrilla completa de temporales para operar una hora adicional de línea.",
+  "Temp productivity starts at the week-1 level and ramps linearly to a trained operator by the end of the ramp; extra scrap fades out over the same ramp.":
+    "La productividad de los temporales empieza en el nivel de la semana 1 y sube linealmente hasta la de un operador capacitado al final de la curva; el desperdicio adicional desaparece en la misma curva.",
+  "Onboarding and training are one-time costs in week 1.": "La incorporación y la capacitación son costos únicos en la semana 1.",
+  "Temp labor cost / {period}": "Costo de temporales / {period}",
+  "Δ Good units": "Δ Unidades buenas",
+  "Temp labor cost": "Costo de temporales",
+  "Onboarding & training": "Incorporación y capacitación",
+  "Profit from units": "Utilidad por unidades",
+
+  // Reduce Headcount
+  "Reduce Headcount": "Reducir plantilla",
+  "Reduce headcount inputs": "Datos de reducción de plantilla",
+  "Output rate scales with (new crew ÷ current crew) ^ elasticity. Use 1 if every person is on the critical path, lower if the line has slack.":
+    "La tasa de producción escala con (nueva cuadrilla ÷ cuadrilla actual) ^ elasticidad. Use 1 si cada persona está en la ruta crítica, menos si la línea tiene holgura.",
+  "Current crew": "Cuadrilla actual",
+  "Headcount reduction": "Reducción de plantilla",
+  "Staffing-to-rate elasticity": "Elasticidad de personal a tasa",
+  exponent: "exponente",
+  "Severance per person": "Liquidación por persona",
+  "OT backfill": "Tiempo extra de reposición",
+  "line hrs/{period}": "h de línea/{period}",
+  "Backfill OT premium": "Prima del tiempo extra de reposición",
+  "Each person removed saves the planned weekly runtime at labor cost.":
+    "Cada persona que sale ahorra el tiempo de operación semanal planeado a costo de mano de obra.",
+  "Output rate falls to (new crew ÷ current crew) ^ elasticity of today's rate.":
+    "La tasa de producción baja a (nueva cuadrilla ÷ cuadrilla actual) ^ elasticidad de la tasa actual.",
+  "The remaining crew runs OT backfill hours at the reduced rate, recovering at most the lost output.":
+    "La cuadrilla restante trabaja las horas extra de reposición a la tasa reducida y recupera como máximo la producción perdida.",
+  "Severance is paid once and spread over the horizon.": "La liquidación se paga una vez y se reparte en el horizonte.",
+  "Labor savings / {period}": "Ahorro en mano de obra / {period}",
+  "Labor savings": "Ahorro en mano de obra",
+  "Backfill OT cost": "Costo del tiempo extra de reposición",
+  Severance: "Liquidación",
+
+  // Defer Preventive Maintenance
+  "Defer Preventive Maintenance": "Diferir mantenimiento preventivo",
+  "Defer PM inputs": "Datos para diferir el MP",
+  "Expected value weighs PM savings against the chance of a breakdown. Worst case assumes the line breaks down in the first deferred week.":
+    "El valor esperado compara el ahorro en MP con la probabilidad de una falla. El peor caso supone que la línea falla en la primera semana diferida.",
+  "Defer PM by": "Diferir el MP por",
+  "PM labor saved": "Mano de obra de MP ahorrada",
+  "PM parts saved": "Refacciones de MP ahorradas",
+  "$/{period}": "$/{period}",
+  "Failure probability increase": "Aumento de la probabilidad de falla",
+  "pp per deferred {period}": "pp por cada {period} de diferimiento",
+  "Expected repair downtime": "Tiempo muerto esperado por reparación",
+  "Expected repair cost": "Costo esperado de reparación",
+  "Each deferred week saves the weekly PM labor (at labor cost) and parts, as long as the line has not broken down yet.":
+    "Cada semana diferida ahorra la mano de obra semanal de MP (a costo de mano de obra) y las refacciones, mientras la línea no haya fallado.",
+  "The chance of a breakdown in deferred week n is n × the weekly increase; the first breakdown ends the deferral.":
+    "La probabilidad de falla en la semana diferida n es n × el aumento semanal; la primera falla termina el diferimiento.",
+  "A breakdown costs the repair cost plus the margin on output lost during repair downtime.":
+    "Una falla cuesta la reparación más el margen de la producción perdida durante el tiempo muerto.",
+  "Worst case: the line breaks down in the first deferred week.": "Peor caso: la línea falla en la primera semana diferida.",
+  "Breakdown probability": "Probabilidad de falla",
+  "Worst case (breakdown)": "Peor caso (falla)",
+  "Expected PM savings": "Ahorro esperado en MP",
+  "Chance of first breakdown": "Probabilidad de la primera falla",
+  "Expected breakdown cost": "Costo esperado de falla",
+
+  // Increase Production Rate
+  "Increase Production Rate": "Aumentar la tasa de producción",
+  "Increase rate inputs": "Datos de aumento de tasa",
+  "Penalties grow faster than speed: with exponent 2, a +20% speed-up costs 4× the per-10% scrap and micro-stops.":
+    "Las penalizaciones crecen más rápido que la velocidad: con exponente 2, un aumento de +20% cuesta 4× el desperdicio y los microparos por cada 10%.",
+  "Target output rate": "Tasa de producción objetivo",
+  "Scrap penalty": "Penalización por desperdicio",
+  "pp per +10% speed": "pp por cada +10% de velocidad",
+  "Micro-stop penalty": "Penalización por microparos",
+  "min/hr per +10% speed": "min/h por cada +10% de velocidad",
+  "Penalty growth exponent": "Exponente de crecimiento de la penalización",
+  "1 = linear": "1 = lineal",
+  "Extra wear & maintenance": "Desgaste y mantenimiento adicionales",
+  "$/{period} per +10% speed": "$/{period} por cada +10% de velocidad",
+  "Labor cost does not change with line speed.": "El costo de mano de obra no cambia con la velocidad de la línea.",
+  "Scrap, micro-stops and wear are quoted per +10% speed and grow with speed ^ penalty exponent.":
+    "El desperdicio, los microparos y el desgaste se expresan por cada +10% de velocidad y crecen con velocidad ^ exponente de penalización.",
+  "Today's OEE and baseline scrap still apply at the higher speed.":
+    "El OEE actual y el desperdicio base siguen aplicando a la velocidad mayor.",
+  "Speed-up": "Aumento de velocidad",
+
+  // Delay CAPEX Purchase
+  "Delay CAPEX Purchase": "Retrasar compra de CAPEX",
+  "Delay CAPEX inputs": "Datos para retrasar el CAPEX",
+  "Total impact is the cash effect within your time horizon: capital cost avoided minus savings missed. The lifetime NPV impact covers the whole planning period, including salvage.":
+    "El impacto total es el efecto en efectivo dentro de su horizonte de tiempo: costo de capital evitado menos ahorros perdidos. El impacto en VPN de por vida cubre todo el periodo de planeación, incluido el valor de rescate.",
+  "CAPEX amount": "Monto de CAPEX",
+  "Expected annual savings": "Ahorro anual esperado",
+  "$/yr": "$/año",
+  "Deployment lead time": "Tiempo de implementación",
+  "Cost of capital": "Costo de capital",
+  "%/yr, optional": "%/año, opcional",
+  "Purchase delay": "Retraso de la compra",
+  "Useful life": "Vida útil",
+  years: "años",
+  "Salvage value at end of life": "Valor de rescate al final de la vida útil",
+  "Planning period for NPV": "Periodo de planeación para el VPN",
+  "Within the horizon, delaying avoids the capital cost of the CAPEX amount (simple interest) but misses savings that buying now would have delivered after the lead time.":
+    "Dentro del horizonte, retrasar evita el costo de capital del monto de CAPEX (interés simple), pero se pierden los ahorros que comprar ahora habría dado tras el tiempo de implementación.",
+  "Lifetime NPV compares buying now with buying after the delay over the planning period, discounted weekly at the cost of capital.":
+    "El VPN de por vida compara comprar ahora con comprar después del retraso durante el periodo de planeación, descontado semanalmente al costo de capital.",
+  "Savings run from the end of the lead time to the end of the useful life; salvage is received at end of life, otherwise straight-line book value counts at the end of the planning period.":
+    "Los ahorros corren del final del tiempo de implementación al final de la vida útil; el valor de rescate se recibe al final de la vida útil; si no, cuenta el valor en libros en línea recta al final del periodo de planeación.",
+  "Lost savings (within horizon)": "Ahorros perdidos (en el horizonte)",
+  "Lifetime NPV impact of delay": "Impacto en VPN de por vida del retraso",
+  "Cash — buy now": "Efectivo — comprar ahora",
+  "Cash — buy later": "Efectivo — comprar después",
+  "PV — buy now": "VP — comprar ahora",
+  "PV — buy later": "VP — comprar después",
+  "Cumulative PV — buy now": "VP acumulado — comprar ahora",
+  "Cumulative PV — buy later": "VP acumulado — comprar después",
+  "Saved before Delay CAPEX credited the capital cost avoided while waiting; its total impact now includes that credit and differs from the original.":
+    "Guardado antes de que Retrasar compra de CAPEX acreditara el costo de capital evitado durante la espera; su impacto total ahora incluye ese crédito y difiere del original.",
+};
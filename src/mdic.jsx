@@ -1,312 +1,318 @@
-import React, { useMemo, useState } from "react";
-
-const DECISIONS = [
-  { id: "overtime", label: "Add Overtime" },
-  { id: "temp", label: "Add Temp Labor" },
-  { id: "headcount", label: "Reduce Headcount" },
-  { id: "deferpm", label: "Defer Preventive Maintenance" },
-  { id: "rate", label: "Increase Production Rate" },
-  { id: "capex", label: "Delay CAPEX Purchase" },
-];
-
-function num(v, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-function money(n) {
-  const v = Number(n);
-  if (!Number.isFinite(v)) return "$0";
-  return v.toLocaleString(undefined, { style: "currency", currency: "USD" });
-}
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  COMMON_INPUTS,
+  DECISIONS,
+  defaultValues,
+  getDecision,
+  inputsFor,
+  validateInputs,
+} from "./decisions/index.js";
+import { newId } from "./ids.js";
+import { createLocale, loadSettings, storeSettings } from "./locale.js";
+import { LocaleContext } from "./localeContext.js";
+import { PortfolioView } from "./plant.jsx";
+import { PrintReport } from "./printout.jsx";
+import { buildReport, reportCsv, reportTables, summaryText } from "./report.js";
+import { InputCard, KPI } from "./ui.jsx";
+import { buildXlsx } from "./xlsx.js";
+import { CapexCashFlowCard } from "./cashflow.jsx";
+import { CompareCard, ScenarioCard } from "./scenarios.jsx";
+import { SettingsCard } from "./settings.jsx";
+import { GoalSeekCard } from "./solver.jsx";
+import { SensitivityCard } from "./tornado.jsx";
+import { UncertaintyCard } from "./uncertainty.jsx";
+import { loadScenarios, makeScenario, scenarioSettings, scenarioValues, storeScenarios } from "./scenarioStore.js";
+import { decodeHash, downloadFile, encodeHash, exportScenarioFile, parseScenarioFile } from "./serialize.js";
+
+// Extra cards for decisions whose results need more than the KPI tiles
+const DETAIL_CARDS = {
+  capex: CapexCashFlowCard,
+};
 
 export default function MDIC() {
-  const [decision, setDecision] = useState("overtime");
-
-  // Common inputs (manager-friendly)
-  const [horizonWeeks, setHorizonWeeks] = useState(6);
-  const [runtimePerWeek, setRuntimePerWeek] = useState(40);
-  const [baselineUnitsPerHr, setBaselineUnitsPerHr] = useState(50);
-  const [laborRate, setLaborRate] = useState(35);
-  const [sellPrice, setSellPrice] = useState(0);
-  const [cmPct, setCmPct] = useState(35);
-  const [overheadPct, setOverheadPct] = useState(0);
-
-  // Overtime inputs (first mode)
-  const [otHours, setOtHours] = useState(10);
-  const [otPremium, setOtPremium] = useState(1.5);
-  const [fatiguePerfDeltaPct, setFatiguePerfDeltaPct] = useState(-3); // % change
-  const [fatigueScrapDeltaPp, setFatigueScrapDeltaPp] = useState(0.5); // pp
-  const [fatigueDowntimeDeltaHr, setFatigueDowntimeDeltaHr] = useState(0.2); // hr/wk
-
-  // Delay CAPEX inputs
-  const [capexAmount, setCapexAmount] = useState(100000);
-  const [annualSavings, setAnnualSavings] = useState(40000);
-  const [deploymentLeadWeeks, setDeploymentLeadWeeks] = useState(8);
-  const [costOfCapitalPct, setCostOfCapitalPct] = useState(10); // optional
-
-
-  const baseline = useMemo(() => {
-    const units = num(baselineUnitsPerHr) * num(runtimePerWeek);
-    const goodUnitsPerHr = num(baselineUnitsPerHr); // proxy
-    const cm = num(cmPct) / 100;
-    const oppCostPerHr = goodUnitsPerHr * num(sellPrice) * cm;
-    return { units, goodUnitsPerHr, cm, oppCostPerHr };
-  }, [baselineUnitsPerHr, runtimePerWeek, sellPrice, cmPct]);
-
-  const overtimeCalc = useMemo(() => {
-    // Costs
-    const oh = 1 + num(overheadPct) / 100;
-    const otLaborCost = num(otHours) * num(laborRate) * num(otPremium) * oh;
-
-    // Impacts
-    const perfDeltaUnits = baseline.units * (num(fatiguePerfDeltaPct) / 100);
-    const scrapDeltaUnits = baseline.units * (num(fatigueScrapDeltaPp) / 100);
-    const downtimeDeltaUnits = num(fatigueDowntimeDeltaHr) * num(baselineUnitsPerHr);
-
-    // Net good units delta (simple directional model)
-    const deltaGoodUnits = perfDeltaUnits - scrapDeltaUnits - downtimeDeltaUnits;
-
-    // Profit impact if pricing is available, otherwise show cost-only
-    const profitFromUnits =
-      num(sellPrice) > 0
-        ? deltaGoodUnits * num(sellPrice) * baseline.cm
-        : 0;
-
-    const netImpactPerWeek = profitFromUnits - otLaborCost;
-    const totalImpact = netImpactPerWeek * num(horizonWeeks);
-
-    return {
-      otLaborCost,
-      perfDeltaUnits,
-      scrapDeltaUnits,
-      downtimeDeltaUnits,
-      deltaGoodUnits,
-      profitFromUnits,
-      netImpactPerWeek,
-      totalImpact,
-    };
-  }, [
-    baseline.units,
-    baseline.cm,
-    baselineUnitsPerHr,
-    sellPrice,
-    overheadPct,
-    otHours,
-    laborRate,
-    otPremium,
-    fatiguePerfDeltaPct,
-    fatigueScrapDeltaPp,
-    fatigueDowntimeDeltaHr,
-    horizonWeeks,
-  ]);
-
-  const delayCapexCalc = useMemo(() => {
-  const horizon = num(horizonWeeks);
-  const lead = num(deploymentLeadWeeks);
-  const savingsPerWeek = num(annualSavings) / 52;
-
-  // Weeks of benefit you miss during the horizon because you delayed the purchase
-  // If lead time is longer than horizon, you miss 0 within that horizon (you wouldn't have realized benefit anyway)
-  const missedBenefitWeeks = Math.max(0, horizon - lead);
-
-  const lostSavingsWithinHorizon = savingsPerWeek * missedBenefitWeeks;
-
-  // Optional: simple financing/opportunity cost of tying up cash
-  const costOfCapitalPerWeek = (num(costOfCapitalPct) / 100) / 52;
-  const carryingCostWithinHorizon = num(capexAmount) * costOfCapitalPerWeek * horizon;
-
-  // If you delay, you "save" the capex cash outlay now, but incur lost savings + carry cost considerations.
-  // For a manager-facing summary, show the lost savings primarily.
-  const netImpactPerWeek = horizon > 0 ? -(lostSavingsWithinHorizon / horizon) : 0;
-  const totalImpact = -lostSavingsWithinHorizon;
-
-  return {
-    capexAmount: num(capexAmount),
-    annualSavings: num(annualSavings),
-    deploymentLeadWeeks: num(deploymentLeadWeeks),
-    costOfCapitalPct: num(costOfCapitalPct),
-    missedBenefitWeeks,
-    lostSavingsWithinHorizon,
-    carryingCostWithinHorizon,
-    netImpactPerWeek,
-    totalImpact,
+  // A share link (#decision=...) wins over the defaults on first load
+  const [linked] = useState(() => decodeHash(globalThis.location?.hash));
+  const [decision, setDecision] = useState(linked?.decision ?? "overtime");
+  const [values, setValues] = useState(() => linked?.values ?? defaultValues());
+  const [settings, setSettings] = useState(() => linked?.settings ?? loadSettings());
+  const [linkProblems, setLinkProblems] = useState(linked?.problems ?? []);
+  const [copied, setCopied] = useState(false);
+  const [fileMessage, setFileMessage] = useState(null);
+  const [mode, setMode] = useState("single");
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const [compareIds, setCompareIds] = useState([]);
+
+  const loc = useMemo(() => createLocale(settings), [settings]);
+  const { t } = loc;
+
+  const updateSettings = (next) => {
+    setSettings(next);
+    storeSettings(next);
+  };
+
+  const setValue = (group, key, v) =>
+    setValues((prev) => ({ ...prev, [group]: { ...prev[group], [key]: v } }));
+
+  const updateScenarios = (next) => {
+    setScenarios(next);
+    storeScenarios(next);
+  };
+
+  // Keep the address bar in sync so it can be shared at any time
+  useEffect(() => {
+    window.history.replaceState(null, "", `#${encodeHash(decision, values, settings)}`);
+  }, [decision, values, settings]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt(t("Copy this link:"), window.location.href);
+    }
   };
-}, [horizonWeeks, capexAmount, annualSavings, deploymentLeadWeeks, costOfCapitalPct]);
 
-const active = useMemo(() => {
-  if (decision === "overtime") return overtimeCalc;
-  if (decision === "capex") return delayCapexCalc;
-  return null;
-}, [decision, overtimeCalc, delayCapexCalc]);
+  const exportScenarios = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`mdic-scenarios-${stamp}.json`, exportScenarioFile(scenarios));
+  };
+
+  const importScenarios = async (file) => {
+    try {
+      const imported = parseScenarioFile(await file.text());
+      updateScenarios([...scenarios, ...imported.map((s) => ({ ...s, id: newId() }))]);
+      setFileMessage({ ok: true, text: t("Imported {count} scenario(s) from {file}.", { count: imported.length, file: file.name }) });
+    } catch (err) {
+      setFileMessage({ ok: false, text: t("Could not import {file}: {error}", { file: file.name, error: err.message }) });
+    }
+  };
+
+  const saveScenario = (name) => updateScenarios([...scenarios, makeScenario(name, decision, values, settings)]);
+
+  const loadScenario = (scenario) => {
+    if (!getDecision(scenario.decision)) return;
+    setDecision(scenario.decision);
+    setValues(scenarioValues(scenario));
+    updateSettings(scenarioSettings(scenario));
+    setLinkProblems([]);
+    setMode("single");
+  };
+
+  const deleteScenario = (id) => {
+    updateScenarios(scenarios.filter((s) => s.id !== id));
+    setCompareIds((ids) => ids.filter((x) => x !== id));
+  };
 
-  const isReady =
-    num(horizonWeeks) > 0 &&
-    num(runtimePerWeek) > 0 &&
-    num(baselineUnitsPerHr) > 0 &&
-    num(laborRate) > 0;
+  const toggleCompare = (id) =>
+    setCompareIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+
+  const compared = compareIds.map((id) => scenarios.find((s) => s.id === id)).filter(Boolean);
+
+  const activeDecision = getDecision(decision);
+
+  const problems = useMemo(() => {
+    const common = validateInputs(COMMON_INPUTS, values.common, loc);
+    const own = activeDecision ? validateInputs(activeDecision.inputs, values[activeDecision.id], loc) : [];
+    return { common, own };
+  }, [activeDecision, values, loc]);
+
+  const active = useMemo(
+    () => (activeDecision ? activeDecision.calculate(inputsFor(activeDecision, values)) : null),
+    [activeDecision, values]
+  );
+
+  const isReady = problems.common.length === 0 && problems.own.length === 0;
+  const DetailCard = activeDecision ? DETAIL_CARDS[activeDecision.id] : null;
+
+  const report = useMemo(
+    () => (isReady && activeDecision ? buildReport(activeDecision, values, loc) : null),
+    [isReady, activeDecision, values, loc]
+  );
+
+  const exportName = () => `mdic-${decision}-${new Date().toISOString().slice(0, 10)}`;
+
+  const exportCsv = () => downloadFile(`${exportName()}.csv`, reportCsv(report), "text/csv");
+
+  const exportXlsx = () => {
+    const tables = reportTables(report);
+    downloadFile(
+      `${exportName()}.xlsx`,
+      buildXlsx([
+        { name: t("Summary"), rows: tables.summary },
+        { name: t("Weekly"), rows: tables.weekly },
+      ]),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+  };
 
   return (
+  <LocaleContext.Provider value={loc}>
   <div className="mdic-wrap">
-    <h1 className="mdic-title">MDIC — Manufacturing Decision Impact Calculator</h1>
+    <h1 className="mdic-title">{t("MDIC — Manufacturing Decision Impact Calculator")}</h1>
     <p className="mdic-subtitle">
-      Quantify the weekly + total business impact of common plant decisions (cost, throughput, and risk).
+      {t("Quantify the per-{period} + total business impact of common plant decisions (cost, throughput, and risk).")}
     </p>
 
     <div className="mdic-grid">
-      <div className="mdic-card">
-        <label className="mdic-label">Decision type</label>
-        <select
-          className="mdic-select"
-          value={decision}
-          onChange={(e) => setDecision(e.target.value)}
+      <div className="mdic-row" role="tablist">
+        <button
+          className={`mdic-btn${mode === "single" ? " mdic-btn-active" : ""}`}
+          type="button"
+          role="tab"
+          aria-selected={mode === "single"}
+          onClick={() => setMode("single")}
         >
-          {DECISIONS.map((d) => (
-            <option key={d.id} value={d.id}>{d.label}</option>
-          ))}
-        </select>
-        <div className="mdic-help">
-          Start with estimates. This tool is designed to be directionally correct and easy to explain to leadership.
-        </div>
+          {t("Single decision")}
+        </button>
+        <button
+          className={`mdic-btn${mode === "portfolio" ? " mdic-btn-active" : ""}`}
+          type="button"
+          role="tab"
+          aria-selected={mode === "portfolio"}
+          onClick={() => setMode("portfolio")}
+        >
+          {t("Portfolio (multi-line)")}
+        </button>
       </div>
 
-      <div className="mdic-card">
-        <h2>Common inputs</h2>
-        <div className="mdic-fields">
-          <Field label="Time horizon (weeks)" value={horizonWeeks} setValue={setHorizonWeeks} />
-          <Field label="Planned runtime per week (hrs)" value={runtimePerWeek} setValue={setRuntimePerWeek} />
-          <Field label="Baseline output rate (units/hr)" value={baselineUnitsPerHr} setValue={setBaselineUnitsPerHr} />
-          <Field label="Fully burdened labor cost ($/hr)" value={laborRate} setValue={setLaborRate} />
-          <Field label="Overhead add-on (%)" value={overheadPct} setValue={setOverheadPct} />
-          <Field label="Selling price ($/unit, optional)" value={sellPrice} setValue={setSellPrice} />
-          <Field label="Contribution margin (%)" value={cmPct} setValue={setCmPct} />
-        </div>
-
-        {!isReady && (
-          <div className="mdic-error">
-            Please enter: horizon, runtime/week, baseline units/hr, and labor $/hr.
+      <SettingsCard settings={settings} onChange={updateSettings} />
+
+      {mode === "portfolio" ? (
+        <PortfolioView scenarios={scenarios} baseCommon={values.common} />
+      ) : (
+        <>
+          <div className="mdic-card">
+            <label className="mdic-label">{t("Decision type")}</label>
+            <select
+              className="mdic-select"
+              value={decision}
+              onChange={(e) => setDecision(e.target.value)}
+            >
+              {DECISIONS.map((d) => (
+                <option key={d.id} value={d.id}>{t(d.label)}</option>
+              ))}
+            </select>
+            <div className="mdic-help">
+              {t("Start with estimates. This tool is designed to be directionally correct and easy to explain to leadership.")}
+            </div>
+            <div className="mdic-row" style={{ marginTop: 10 }}>
+              <button className="mdic-btn" type="button" onClick={copyLink}>
+                {copied ? t("Link copied") : t("Copy share link")}
+              </button>
+            </div>
+            {linkProblems.length > 0 && (
+              <div className="mdic-error">
+                {linkProblems.map((p) => (
+                  <div key={p}>{p}</div>
+                ))}
+              </div>
+            )}
           </div>
-        )}
-      </div>
 
-      {decision === "overtime" && (
-        <div className="mdic-card">
-          <h2>Overtime inputs</h2>
-          <div className="mdic-fields">
-            <Field label="Overtime hours per week" value={otHours} setValue={setOtHours} />
-            <Field label="OT premium (multiplier)" value={otPremium} setValue={setOtPremium} step="0.1" />
-            <Field label="Fatigue productivity delta (%)" value={fatiguePerfDeltaPct} setValue={setFatiguePerfDeltaPct} step="0.5" />
-            <Field label="Fatigue scrap delta (pp)" value={fatigueScrapDeltaPp} setValue={setFatigueScrapDeltaPp} step="0.1" />
-            <Field label="Fatigue downtime delta (hr/wk)" value={fatigueDowntimeDeltaHr} setValue={setFatigueDowntimeDeltaHr} step="0.1" />
-          </div>
-          <div className="mdic-help">
-            Tip: If you don’t have good estimates, set fatigue deltas to 0 to view pure labor cost impact.
+          <InputCard
+            title={t("Common inputs")}
+            schema={COMMON_INPUTS}
+            values={values.common}
+            setValue={(key, v) => setValue("common", key, v)}
+            problems={problems.common}
+          />
+
+          {activeDecision && (
+            <InputCard
+              title={t(activeDecision.title)}
+              schema={activeDecision.inputs}
+              values={values[activeDecision.id]}
+              setValue={(key, v) => setValue(activeDecision.id, key, v)}
+              problems={problems.own}
+              help={t(activeDecision.help)}
+            />
+          )}
+
+          <div className="mdic-card">
+            <h2>{t("Results")}</h2>
+
+            {!isReady || !active ? (
+              <div className="mdic-help">{t("Enter required inputs to see results.")}</div>
+            ) : (
+              <>
+                <div className="mdic-kpis">
+                  {activeDecision.kpis.map((k) => (
+                    <KPI
+                      key={k.key}
+                      title={t(k.title)}
+                      value={loc.kpi(k, active[k.key])}
+                      note={k.format === "money" && loc.reportingMoney(loc.toDisplay(k.time, active[k.key]))}
+                    />
+                  ))}
+                </div>
+
+                <div className="mdic-summary">
+                  <strong>{t("Decision summary:")}</strong> {summaryText(active, loc)}
+                </div>
+
+                {Number(values.common.weeklyDemand) > 0 && active.deltaShippedUnits != null && (
+                  <div className="mdic-help">
+                    {t(
+                      "Demand-limited: {shipped} of {made} Δ good units / {period} ship against demand. Backlog at the end of the horizon: {backlog} units.",
+                      {
+                        shipped: loc.kpi({ format: "units", time: "rate" }, active.deltaShippedUnits),
+                        made: loc.kpi({ format: "units", time: "rate" }, active.deltaGoodUnits ?? 0),
+                        backlog: loc.kpi({ format: "units" }, active.backlogEnd),
+                      }
+                    )}
+                  </div>
+                )}
+
+                <div className="mdic-row" style={{ marginTop: 12 }}>
+                  <button className="mdic-btn" type="button" onClick={() => window.print()}>{t("Print / PDF report")}</button>
+                  <button className="mdic-btn" type="button" onClick={exportCsv}>{t("Export CSV")}</button>
+                  <button className="mdic-btn" type="button" onClick={exportXlsx}>{t("Export XLSX")}</button>
+                </div>
+              </>
+            )}
           </div>
-        </div>
-      )}
 
-      {decision === "capex" && (
-        <div className="mdic-card">
-          <h2>Delay CAPEX inputs</h2>
-          <div className="mdic-fields">
-            <Field label="CAPEX amount ($)" value={capexAmount} setValue={setCapexAmount} step="1000" />
-            <Field label="Expected annual savings ($/yr)" value={annualSavings} setValue={setAnnualSavings} step="1000" />
-            <Field label="Deployment lead time (weeks)" value={deploymentLeadWeeks} setValue={setDeploymentLeadWeeks} />
-            <Field label="Cost of capital (%/yr, optional)" value={costOfCapitalPct} setValue={setCostOfCapitalPct} step="0.5" />
-          </div>
-          <div className="mdic-help">
-            This estimates the *missed savings within your time horizon* caused by delaying the investment.
-          </div>
-        </div>
-      )}
+          {isReady && DetailCard && <DetailCard decision={activeDecision} values={values} />}
 
+          {isReady && activeDecision && (
+            <SensitivityCard key={activeDecision.id} decision={activeDecision} values={values} />
+          )}
 
-      <div className="mdic-card">
-        <h2>Results</h2>
-
-        {!isReady || !active ? (
-          <div className="mdic-help">Enter required inputs to see results.</div>
-        ) : (
-          <>
-            <div className="mdic-kpis">
-              <KPI title="Net impact / week" value={money(active.netImpactPerWeek)} />
-              <KPI title="Total impact (horizon)" value={money(active.totalImpact)} />
-
-              {decision === "capex" ? (
-                <>
-                  <KPI title="Missed benefit weeks" value={String(active.missedBenefitWeeks)} />
-                  <KPI title="Lost savings (within horizon)" value={money(active.lostSavingsWithinHorizon)} />
-                </>
-              ) : (
-                <>
-                  <KPI title="OT labor cost / week" value={money(active.otLaborCost)} />
-                  <KPI title="Δ Good units / week" value={Math.round(active.deltaGoodUnits).toLocaleString()} />
-                </>
-              )}
-            </div>
+          {isReady && activeDecision && (
+            <GoalSeekCard key={activeDecision.id} decision={activeDecision} values={values} onApply={setValue} />
+          )}
 
+          {isReady && activeDecision && (
+            <UncertaintyCard key={activeDecision.id} decision={activeDecision} values={values} />
+          )}
+        </>
+      )}
 
-            <div className="mdic-summary">
-              <strong>Decision summary:</strong>{" "}
-              {active.netImpactPerWeek >= 0
-                ? `This decision is estimated to improve results by ${money(active.netImpactPerWeek)} per week.`
-                : `This decision is estimated to cost ${money(Math.abs(active.netImpactPerWeek))} per week.`}
-            </div>
-          </>
-        )}
-      </div>
+      <ScenarioCard
+        scenarios={scenarios}
+        selectedIds={compareIds}
+        onSave={saveScenario}
+        onLoad={loadScenario}
+        onDelete={deleteScenario}
+        onToggle={toggleCompare}
+        onExport={exportScenarios}
+        onImport={importScenarios}
+        fileMessage={fileMessage}
+      />
+
+      {mode === "single" && compared.length >= 2 && (
+        <CompareCard scenarios={compared} defaultHorizon={values.common.horizonWeeks} />
+      )}
     </div>
 
     <p className="mdic-help" style={{ marginTop: 16 }}>
-      MfgCalc — A calculated approach to manufacturing.
+      {t("MfgCalc — A calculated approach to manufacturing.")}
     </p>
+
+    {mode === "single" && report && <PrintReport report={report} />}
   </div>
+  </LocaleContext.Provider>
 );
 
 }
-
-function Field({ label, value, setValue, step = "1" }) {
-  const id = React.useId();
-
-  return (
-    <div>
-      <label className="mdic-label" htmlFor={id}>{label}</label>
-      <input
-        id={id}
-        className="mdic-input"
-        type="number"
-        value={value}
-        step={step}
-        onChange={(e) => {
-          // Keep as number when possible, allow empty while typing
-          const v = e.target.value;
-          setValue(v === "" ? "" : Number(v));
-        }}
-        onWheel={(e) => {
-          // Prevent mouse wheel from changing number inputs while scrolling
-          e.currentTarget.blur();
-        }}
-      />
-    </div>
-  );
-}
-
-function KPI({ title, value }) {
-  return (
-    <div className="mdic-kpi">
-      <div className="kpi-title">{title}</div>
-      <div className="kpi-value">{value}</div>
-    </div>
-  );
-}
-
-function Row({ label, value }) {
-  return (
-    <tr>
-      <td style={{ padding: "8px 6px", borderBottom: "1px solid #eee", color: "#333" }}>{label}</td>
-      <td style={{ padding: "8px 6px", borderBottom: "1px solid #eee", textAlign: "right", fontWeight: 600 }}>
-        {value}
-      </td>
-    </tr>
-  );
-}
@@ -0,0 +1,153 @@
+// Monte Carlo simulation of a decision model. Uncertain inputs are given as
+// min / most likely / max and sampled from a triangular or PERT distribution.
+import { COMMON_INPUTS, PLAIN_TEXT, getDecision, inputsFor } from "./decisions/index.js";
+
+// Small seeded PRNG so a given set of inputs always produces the same picture
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normal(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Marsaglia–Tsang; shape >= 1 is all PERT needs
+function gamma(shape, rng) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = normal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+export function sampleTriangular(min, mode, max, rng) {
+  if (max <= min) return mode;
+  const u = rng();
+  const f = (mode - min) / (max - min);
+  return u < f
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+export function samplePert(min, mode, max, rng) {
+  if (max <= min) return mode;
+  const alpha = 1 + (4 * (mode - min)) / (max - min);
+  const beta = 1 + (4 * (max - mode)) / (max - min);
+  const x = gamma(alpha, rng);
+  const y = gamma(beta, rng);
+  return min + (x / (x + y)) * (max - min);
+}
+
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function histogram(sorted, binCount) {
+  const lo = sorted[0];
+  const hi = sorted[sorted.length - 1];
+  const width = hi > lo ? (hi - lo) / binCount : 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: lo + i * width, to: lo + (i + 1) * width, count: 0 }));
+  for (const v of sorted) bins[Math.min(binCount - 1, Math.floor((v - lo) / width))].count++;
+  return bins;
+}
+
+// Problems with the ranges, keyed by input; ranges must bracket the most likely value.
+// Like validateInputs, messages are plain English in weeks unless the UI passes its locale.
+export function checkRanges(decision, values, ranges, loc = PLAIN_TEXT) {
+  const inputs = inputsFor(decision, values);
+  const problems = [];
+  for (const f of [...COMMON_INPUTS, ...decision.inputs]) {
+    const r = ranges[f.key];
+    if (!r || (r.min === "" && r.max === "") || (r.min == null && r.max == null)) continue;
+    const mode = Number(inputs[f.key]);
+    const min = r.min === "" ? mode : Number(r.min);
+    const max = r.max === "" ? mode : Number(r.max);
+    if (!(min <= mode && mode <= max)) {
+      problems.push(
+        loc.t("{field}: need min ≤ most likely ({mode}) ≤ max.", {
+          field: loc.fieldName(f),
+          mode: loc.formatNumber(loc.toDisplay(f.time, mode)),
+        })
+      );
+    }
+  }
+  return problems;
+}
+
+// Runs the simulation. `ranges` maps input keys to { min, max }; the current input value
+// is the most likely value. Returns percentiles of total and weekly impact.
+export function simulate({ decisionId, values, ranges, shape = "pert", runs = 5000, seed = 1, bins = 30 }) {
+  const decision = getDecision(decisionId);
+  if (!decision) throw new Error(`Unknown decision type "${decisionId}".`);
+
+  const base = inputsFor(decision, values);
+  // The UI checks ranges before it gets here; headless callers get the same messages
+  const unknown = Object.keys(ranges).filter((key) => !(key in base));
+  if (unknown.length) throw new Error(`Unknown input "${unknown[0]}" for ${decision.label}.`);
+  const problems = checkRanges(decision, values, ranges);
+  if (problems.length) throw new Error(problems.join(" "));
+
+  const uncertain = Object.entries(ranges)
+    .map(([key, r]) => {
+      const mode = Number(base[key]);
+      const min = r.min === "" || r.min == null ? mode : Number(r.min);
+      const max = r.max === "" || r.max == null ? mode : Number(r.max);
+      return { key, min, mode, max };
+    })
+    .filter((u) => u.max > u.min);
+
+  const sample = shape === "triangular" ? sampleTriangular : samplePert;
+  const rng = mulberry32(seed);
+  const totals = new Float64Array(runs);
+  const weekly = new Float64Array(runs);
+  let losses = 0;
+
+  for (let i = 0; i < runs; i++) {
+    const inputs = { ...base };
+    for (const u of uncertain) inputs[u.key] = sample(u.min, u.mode, u.max, rng);
+    const r = decision.calculate(inputs);
+    totals[i] = r.totalImpact;
+    weekly[i] = r.netImpactPerWeek;
+    if (r.totalImpact < 0) losses++;
+  }
+
+  totals.sort();
+  weekly.sort();
+  let sum = 0;
+  for (const v of totals) sum += v;
+
+  return {
+    runs,
+    uncertainCount: uncertain.length,
+    p10: percentile(totals, 0.1),
+    p50: percentile(totals, 0.5),
+    p90: percentile(totals, 0.9),
+    mean: sum / runs,
+    weeklyP10: percentile(weekly, 0.1),
+    weeklyP50: percentile(weekly, 0.5),
+    weeklyP90: percentile(weekly, 0.9),
+    lossProbability: losses / runs,
+    histogram: histogram(totals, bins),
+  };
+}
@@ -0,0 +1,11 @@
+// Runs simulations off the main thread so typing stays responsive.
+import { simulate } from "./montecarlo.js";
+
+self.onmessage = (e) => {
+  const { id, request } = e.data;
+  try {
+    self.postMessage({ id, result: simulate(request) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
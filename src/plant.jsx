@@ -0,0 +1,165 @@
+import React, { useMemo, useState } from "react";
+import { getDecision } from "./decisions/index.js";
+import { useLocale } from "./localeContext.js";
+import { LINE_INPUTS, evaluatePortfolio, loadPortfolio, newLine, storePortfolio } from "./portfolio.js";
+import { Field, InputCard, KPI } from "./ui.jsx";
+
+// Like the line inputs, the horizon and OT cap are held per week and shown in the time base
+export function PortfolioView({ scenarios, baseCommon }) {
+  const loc = useLocale();
+  const { t } = loc;
+  const [portfolio, setPortfolio] = useState(() => loadPortfolio(baseCommon));
+
+  const update = (next) => {
+    setPortfolio(next);
+    storePortfolio(next);
+  };
+  const setSetting = (key, v) => update({ ...portfolio, [key]: v });
+  const setLine = (id, patch) =>
+    update({ ...portfolio, lines: portfolio.lines.map((l) => (l.id === id ? { ...l, ...patch } : l)) });
+  const addLine = () =>
+    update({ ...portfolio, lines: [...portfolio.lines, newLine(t("Line {n}", { n: portfolio.lines.length + 1 }), baseCommon)] });
+  const removeLine = (id) => update({ ...portfolio, lines: portfolio.lines.filter((l) => l.id !== id) });
+
+  const rollup = useMemo(() => evaluatePortfolio(portfolio, scenarios, loc), [portfolio, scenarios, loc]);
+  const hours = (v) => loc.number(loc.toDisplay("rate", v ?? 0), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const perPeriod = (v) => loc.money(loc.toDisplay("rate", v));
+
+  return (
+    <>
+      <div className="mdic-card">
+        <h2>{t("Portfolio settings")}</h2>
+        <div className="mdic-fields">
+          <Field
+            label={t("Time horizon ({periods})")}
+            value={loc.toDisplay("span", portfolio.horizonWeeks)}
+            setValue={(v) => setSetting("horizonWeeks", loc.fromDisplay("span", v))}
+            min={0}
+          />
+          <Field
+            label={t("Plant-wide OT cap (hrs/{period}, blank = none)")}
+            value={loc.toDisplay("rate", portfolio.otHoursCap)}
+            setValue={(v) => setSetting("otHoursCap", loc.fromDisplay("rate", v))}
+            min={0}
+          />
+          <Field
+            label={t("CAPEX budget within horizon ({currency}, blank = none)", { currency: loc.currencySymbol })}
+            value={portfolio.capexBudget}
+            setValue={(v) => setSetting("capexBudget", v)}
+            step="1000"
+            min={0}
+          />
+        </div>
+        <div className="mdic-help">
+          {t("Each line keeps its own common inputs. Assign one saved scenario per line; its decision inputs are used with that line’s runtime, rate, costs and demand. Scenarios must be saved in {currency}.", { currency: loc.settings.currency })}
+        </div>
+      </div>
+
+      {portfolio.lines.map((line) => {
+        const evaluated = rollup.lines.find((l) => l.line.id === line.id);
+        return (
+          <div className="mdic-card" key={line.id}>
+            <div className="mdic-row">
+              <input
+                className="mdic-input"
+                aria-label={t("Line name")}
+                value={line.name}
+                onChange={(e) => setLine(line.id, { name: e.target.value })}
+              />
+              <select
+                className="mdic-select"
+                aria-label={t("Scenario for {line}", { line: line.name })}
+                value={line.scenarioId}
+                onChange={(e) => setLine(line.id, { scenarioId: e.target.value })}
+              >
+                <option value="">{t("No decision (baseline)")}</option>
+                {scenarios.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.name} — {t(getDecision(s.decision)?.label ?? s.decision)}
+                  </option>
+                ))}
+              </select>
+              <button className="mdic-btn" type="button" onClick={() => removeLine(line.id)}>{t("Remove")}</button>
+            </div>
+            <details style={{ marginTop: 10 }}>
+              <summary className="mdic-label">{t("Line inputs")}</summary>
+              <InputCard
+                title={t("{line} common inputs", { line: line.name })}
+                schema={LINE_INPUTS}
+                values={line.common}
+                setValue={(key, v) => setLine(line.id, { common: { ...line.common, [key]: v } })}
+              />
+            </details>
+            {evaluated?.problems.length > 0 && (
+              <div className="mdic-error">
+                {evaluated.problems.map((p) => (
+                  <div key={p}>{p}</div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="mdic-row">
+        <button className="mdic-btn" type="button" onClick={addLine}>{t("Add line")}</button>
+        {scenarios.length === 0 && (
+          <span className="mdic-help">{t("Save scenarios in single-decision mode first, then assign them here.")}</span>
+        )}
+      </div>
+
+      <div className="mdic-card">
+        <h2>{t("Portfolio roll-up")}</h2>
+        <div className="mdic-kpis">
+          <KPI
+            title={t("Net impact / {period}")}
+            value={perPeriod(rollup.totals.netImpactPerWeek)}
+            note={loc.reportingMoney(loc.toDisplay("rate", rollup.totals.netImpactPerWeek))}
+          />
+          <KPI
+            title={t("Total impact (horizon)")}
+            value={loc.money(rollup.totals.totalImpact)}
+            note={loc.reportingMoney(rollup.totals.totalImpact)}
+          />
+          <KPI title={t("Plant OT hours / {period}")} value={hours(rollup.totals.otHoursPerWeek)} />
+          <KPI title={t("CAPEX within horizon")} value={loc.money(rollup.totals.capexWithinHorizon)} />
+        </div>
+
+        <div className="mdic-scroll">
+          <table className="mdic-table mdic-compare">
+            <thead>
+              <tr>
+                <th>{t("Line")}</th>
+                <th>{t("Decision")}</th>
+                <th>{t("Net / {period}")}</th>
+                <th>{t("Total (horizon)")}</th>
+                <th>{t("OT hrs / {period}")}</th>
+                <th>{t("CAPEX")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rollup.lines.map((l) => (
+                <tr key={l.line.id}>
+                  <td>{l.line.name}</td>
+                  <td>{l.scenario ? `${l.scenario.name} (${l.decision ? t(l.decision.label) : "?"})` : "—"}</td>
+                  <td>{l.result ? perPeriod(l.result.netImpactPerWeek) : "–"}</td>
+                  <td>{l.result ? loc.money(l.result.totalImpact) : "–"}</td>
+                  <td>{hours(l.usage.otHoursPerWeek)}</td>
+                  <td>{loc.money(l.usage.capexWithinHorizon ?? 0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {rollup.flags.length > 0 && (
+          <div className="mdic-error">
+            {rollup.flags.map((f) => (
+              <div key={f}>⚠ {f}</div>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,124 @@
+// Portfolio mode: several lines, each with its own common inputs and at most one
+// saved scenario applied to it, rolled up against plant-wide limits.
+import { COMMON_INPUTS, defaultValues, getDecision, inputsFor, validateInputs } from "./decisions/index.js";
+import { newId } from "./ids.js";
+import { createLocale } from "./locale.js";
+import { scenarioSettings } from "./scenarioStore.js";
+
+const STORAGE_KEY = "mdic.portfolio";
+
+// The portfolio horizon applies to every line so the roll-up adds like with like
+export const LINE_INPUTS = COMMON_INPUTS.filter((f) => f.key !== "horizonWeeks");
+
+export function newLine(name, common = defaultValues().common) {
+  return { id: newId(), name, common: { ...common }, scenarioId: "" };
+}
+
+export function defaultPortfolio(common) {
+  return {
+    horizonWeeks: common?.horizonWeeks ?? 6,
+    otHoursCap: "",
+    capexBudget: "",
+    lines: [newLine("Line 1", common), newLine("Line 2", common)],
+  };
+}
+
+// Like stored scenarios, lines that could not be shown or costed are dropped
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isStoredLine = (l) => isObject(l) && typeof l.id === "string" && isObject(l.common);
+
+export function loadPortfolio(common) {
+  const fresh = defaultPortfolio(common);
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (isObject(saved) && Array.isArray(saved.lines)) {
+      return {
+        horizonWeeks: saved.horizonWeeks ?? fresh.horizonWeeks,
+        otHoursCap: saved.otHoursCap ?? fresh.otHoursCap,
+        capexBudget: saved.capexBudget ?? fresh.capexBudget,
+        lines: saved.lines.filter(isStoredLine).map((l) => ({ name: "", scenarioId: "", ...l })),
+      };
+    }
+  } catch {
+    // Fall through to a fresh portfolio
+  }
+  return fresh;
+}
+
+export function storePortfolio(portfolio) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(portfolio));
+  } catch {
+    // Storage full or disabled – keep working in memory
+  }
+}
+
+// Lines are costed in the locale's currency, so a scenario saved in another currency
+// is left out rather than mixing its money inputs with the line's.
+export function evaluatePortfolio(portfolio, scenarios, loc = createLocale()) {
+  const { t } = loc;
+  const horizonWeeks = Number(portfolio.horizonWeeks) || 0;
+
+  const lines = portfolio.lines.map((line) => {
+    const common = { ...defaultValues().common, ...line.common, horizonWeeks };
+    const problems = validateInputs(COMMON_INPUTS, common, loc);
+    if (!line.scenarioId) return { line, scenario: null, decision: null, result: null, usage: {}, problems };
+
+    const scenario = scenarios.find((s) => s.id === line.scenarioId) || null;
+    const decision = scenario ? getDecision(scenario.decision) : null;
+    if (!scenario || !decision) {
+      return { line, scenario, decision, result: null, usage: {}, problems: [...problems, t("Assigned scenario no longer exists.")] };
+    }
+    const { currency } = scenarioSettings(scenario);
+    if (currency !== loc.settings.currency) {
+      problems.push(
+        t("“{name}” was saved in {currency}; save it again in {portfolioCurrency} to use it here.", {
+          name: scenario.name,
+          currency,
+          portfolioCurrency: loc.settings.currency,
+        })
+      );
+    }
+
+    const values = { common, [decision.id]: { ...defaultValues()[decision.id], ...scenario.inputs } };
+    problems.push(...validateInputs(decision.inputs, values[decision.id], loc));
+    if (problems.length) return { line, scenario, decision, result: null, usage: {}, problems };
+
+    const inputs = inputsFor(decision, values);
+    const result = decision.calculate(inputs);
+    const usage = decision.usage ? decision.usage(inputs, result) : {};
+    return { line, scenario, decision, result, usage, problems };
+  });
+
+  const sum = (pick) => lines.reduce((n, l) => n + (pick(l) || 0), 0);
+  const totals = {
+    netImpactPerWeek: sum((l) => l.result?.netImpactPerWeek),
+    totalImpact: sum((l) => l.result?.totalImpact),
+    otHoursPerWeek: sum((l) => l.usage.otHoursPerWeek),
+    capexWithinHorizon: sum((l) => l.usage.capexWithinHorizon),
+  };
+
+  // The OT cap is held per week like the models; messages quote it in the time base
+  const hours = (v) => loc.number(loc.toDisplay("rate", v), { maximumFractionDigits: 1 });
+  const flags = [];
+  const otCap = portfolio.otHoursCap === "" ? null : Number(portfolio.otHoursCap);
+  if (otCap != null && totals.otHoursPerWeek > otCap) {
+    flags.push(
+      t("Plant-wide overtime of {hours} hrs/{period} exceeds the cap of {cap} hrs/{period}.", {
+        hours: hours(totals.otHoursPerWeek),
+        cap: hours(otCap),
+      })
+    );
+  }
+  const budget = portfolio.capexBudget === "" ? null : Number(portfolio.capexBudget);
+  if (budget != null && totals.capexWithinHorizon > budget) {
+    flags.push(
+      t("CAPEX spent within the horizon ({spent}) exceeds the budget of {budget}.", {
+        spent: loc.money(totals.capexWithinHorizon),
+        budget: loc.money(budget),
+      })
+    );
+  }
+
+  return { lines, totals, flags };
+}
@@ -0,0 +1,62 @@
+import React from "react";
+
+// One-page leadership report. Hidden on screen; the print stylesheet shows only this.
+export function PrintReport({ report }) {
+  const { loc } = report;
+  const { t } = loc;
+  const groups = [...new Set(report.inputs.map((i) => i.groupTitle))];
+
+  return (
+    <section className="mdic-report">
+      <h1>MDIC — {report.decision}</h1>
+      <p className="mdic-report-meta">
+        {t("Generated {date}", { date: report.generatedAt.toLocaleString(loc.settings.locale) })}
+      </p>
+
+      <div className="mdic-report-kpis">
+        {report.kpis.map((k) => (
+          <div key={k.title}>
+            <div className="kpi-title">{k.title}</div>
+            <div className="kpi-value">{loc.kpi({ format: k.format }, k.value)}</div>
+            {k.format === "money" && loc.reportingMoney(k.value) && (
+              <div className="kpi-note">≈ {loc.reportingMoney(k.value)}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <p className="mdic-report-summary">
+        <strong>{t("Decision summary:")}</strong> {report.summary}
+      </p>
+
+      <div className="mdic-report-cols">
+        {groups.map((g) => (
+          <table key={g}>
+            <thead>
+              <tr>
+                <th colSpan="2">{g}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.inputs
+                .filter((i) => i.groupTitle === g)
+                .map((i) => (
+                  <tr key={i.key}>
+                    <td>{i.unit ? `${i.label} (${i.unit})` : i.label}</td>
+                    <td>{loc.formatNumber(i.value)}</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        ))}
+      </div>
+
+      <h2>{t("Assumptions")}</h2>
+      <ul>
+        {report.assumptions.map((a) => (
+          <li key={a}>{a}</li>
+        ))}
+      </ul>
+    </section>
+  );
+}
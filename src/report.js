@@ -0,0 +1,103 @@
+// Leadership report and spreadsheet exports, built from the decision registry.
+import { COMMON_ASSUMPTIONS, COMMON_INPUTS, horizonShares, inputsFor } from "./decisions/index.js";
+import { toCsv } from "./csv.js";
+import { createLocale, TIME_BASES } from "./locale.js";
+
+export function summaryText(result, loc = createLocale()) {
+  const perPeriod = loc.toDisplay("rate", result.netImpactPerWeek);
+  return perPeriod >= 0
+    ? loc.t("This decision is estimated to improve results by {amount} per {period}.", { amount: loc.amount(perPeriod) })
+    : loc.t("This decision is estimated to cost {amount} per {period}.", { amount: loc.amount(Math.abs(perPeriod)) });
+}
+
+// Decisions without their own weekly() show the average week, repeated over the horizon
+function averageWeekly(inputs, result) {
+  let cumulative = 0;
+  const rows = horizonShares(inputs).map((share, i) => {
+    const net = result.netImpactPerWeek * share;
+    cumulative += net;
+    return { week: i + 1, net, cumulative };
+  });
+  return {
+    columns: [
+      { key: "week", title: "Week", format: "number" },
+      { key: "net", title: "Net impact", format: "money" },
+      { key: "cumulative", title: "Cumulative impact", format: "money" },
+    ],
+    rows,
+  };
+}
+
+// Everything in the report is already translated and in the locale's time base, except
+// the week-by-week breakdown, which always follows the models' weekly steps.
+export function buildReport(decision, values, loc = createLocale()) {
+  const { t } = loc;
+  const inputs = inputsFor(decision, values);
+  const result = decision.calculate(inputs);
+  const field = (groupTitle) => (f) => ({
+    groupTitle,
+    key: f.key,
+    label: loc.fieldName(f),
+    unit: loc.unit(f),
+    value: loc.toDisplay(f.time, inputs[f.key]),
+  });
+  const weekly = decision.weekly ? decision.weekly(inputs) : averageWeekly(inputs, result);
+
+  return {
+    loc,
+    decision: t(decision.label),
+    generatedAt: new Date(),
+    inputs: [
+      ...COMMON_INPUTS.map(field(t("Common inputs"))),
+      ...decision.inputs.map(field(t(decision.title))),
+    ],
+    kpis: decision.kpis.map((k) => ({
+      title: t(k.title),
+      format: k.format,
+      time: k.time,
+      value: loc.toDisplay(k.time, result[k.key]),
+    })),
+    assumptions: [...(decision.assumptions || []), ...COMMON_ASSUMPTIONS].map((a) => t(a)),
+    summary: summaryText(result, loc),
+    weekly: { ...weekly, columns: weekly.columns.map((c) => ({ ...c, title: t(c.title) })) },
+  };
+}
+
+// Rows of plain cells shared by the CSV and XLSX exports; numbers stay unformatted
+export function reportTables(report) {
+  const { loc } = report;
+  const { t, settings } = loc;
+  const rate = settings.reportingCurrency && settings.conversionRate !== "" ? settings.conversionRate : null;
+  const reported = (k) => (rate && k.format === "money" ? [Number(k.value) * rate] : []);
+
+  return {
+    summary: [
+      [t("MDIC — Manufacturing Decision Impact Calculator")],
+      [t("Decision"), report.decision],
+      [t("Generated"), report.generatedAt.toISOString()],
+      [t("Currency"), settings.currency],
+      ...(rate ? [[t("Reporting currency"), settings.reportingCurrency], [t("Conversion rate"), rate]] : []),
+      [t("Time basis"), t(TIME_BASES[settings.timeBase].label)],
+      [],
+      [t("Group"), t("Input"), t("Unit"), t("Value")],
+      ...report.inputs.map((i) => [i.groupTitle, i.label, i.unit, i.value === "" ? "" : Number(i.value)]),
+      [],
+      [t("Result"), t("Value"), ...(rate ? [settings.reportingCurrency] : [])],
+      ...report.kpis.map((k) => [k.title, Number(k.value), ...reported(k)]),
+      [],
+      [t("Decision summary"), report.summary],
+      [],
+      [t("Assumptions")],
+      ...report.assumptions.map((a) => [a]),
+    ],
+    weekly: [
+      report.weekly.columns.map((c) => c.title),
+      ...report.weekly.rows.map((r) => report.weekly.columns.map((c) => Number(r[c.key]))),
+    ],
+  };
+}
+
+export function reportCsv(report) {
+  const { summary, weekly } = reportTables(report);
+  return toCsv([...summary, [], [report.loc.t("Weekly breakdown")], ...weekly]);
+}
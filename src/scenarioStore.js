@@ -0,0 +1,86 @@
+// Named scenarios: a decision type plus every input needed to re-run it, and the
+// locale / currency / time-base settings it was entered in.
+import { COMMON_INPUTS, defaultValues, fillBlanks, getDecision, inputsFor, validateInputs } from "./decisions/index.js";
+import { newId } from "./ids.js";
+import { createLocale, normalizeSettings } from "./locale.js";
+import { upgradeScenarios } from "./serialize.js";
+
+const STORAGE_KEY = "mdic.scenarios";
+
+// Storage is shared with other tabs, versions and hand edits, so entries that could not
+// be shown or re-run are dropped rather than crashing the scenario list
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isStoredScenario = (s) =>
+  isObject(s) && typeof s.id === "string" && typeof s.decision === "string" && isObject(s.common) && isObject(s.inputs);
+
+export function loadScenarios() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? upgradeScenarios(list.filter(isStoredScenario)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeScenarios(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch {
+    // Storage full or disabled (private mode) – scenarios stay in memory for this session
+  }
+}
+
+// Blank fields are saved as their defaults so the scenario always exports as numbers
+export function makeScenario(name, decision, values, settings) {
+  return {
+    id: newId(),
+    name,
+    decision,
+    common: fillBlanks(COMMON_INPUTS, values.common),
+    inputs: fillBlanks(getDecision(decision)?.inputs ?? [], values[decision]),
+    settings: normalizeSettings(settings),
+    savedAt: new Date().toISOString(),
+  };
+}
+
+// Scenarios saved before settings existed were entered in USD and weeks
+export function scenarioSettings(scenario) {
+  return normalizeSettings(scenario.settings);
+}
+
+// Input values for the editor, with defaults filling anything the scenario lacks
+export function scenarioValues(scenario) {
+  const values = defaultValues();
+  values.common = { ...values.common, ...scenario.common };
+  if (values[scenario.decision]) {
+    values[scenario.decision] = { ...values[scenario.decision], ...scenario.inputs };
+  }
+  return values;
+}
+
+// Runs a scenario's model, optionally overriding common inputs (e.g. the compare horizon)
+export function evaluateScenario(scenario, commonOverrides = {}, loc = createLocale()) {
+  const decision = getDecision(scenario.decision);
+  if (!decision) {
+    return { decision: null, result: null, problems: [loc.t("Unknown decision type \"{id}\".", { id: scenario.decision })] };
+  }
+
+  const values = scenarioValues(scenario);
+  values.common = { ...values.common, ...commonOverrides };
+  const problems = [
+    ...validateInputs(COMMON_INPUTS, values.common, loc),
+    ...validateInputs(decision.inputs, values[decision.id], loc),
+  ];
+  const result = problems.length ? null : decision.calculate(inputsFor(decision, values));
+  return { decision, result, problems };
+}
+
+// Index of the evaluation with the highest total impact, or -1 if none can be ranked
+export function bestScenarioIndex(evaluations) {
+  let best = -1;
+  evaluations.forEach((e, i) => {
+    if (!e.result) return;
+    if (best < 0 || e.result.totalImpact > evaluations[best].result.totalImpact) best = i;
+  });
+  return best;
+}
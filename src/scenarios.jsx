@@ -0,0 +1,237 @@
+import React, { useMemo, useRef, useState } from "react";
+import { COMMON_INPUTS, getDecision } from "./decisions/index.js";
+import { sharedCurrency } from "./locale.js";
+import { useLocale } from "./localeContext.js";
+import { bestScenarioIndex, evaluateScenario, scenarioSettings } from "./scenarioStore.js";
+import { NumberInput } from "./ui.jsx";
+
+export const MAX_COMPARE = 4;
+
+export function ScenarioCard({
+  scenarios,
+  selectedIds,
+  onSave,
+  onLoad,
+  onDelete,
+  onToggle,
+  onExport,
+  onImport,
+  fileMessage,
+}) {
+  const { t } = useLocale();
+  const [name, setName] = useState("");
+  const fileInput = useRef(null);
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName("");
+  };
+
+  return (
+    <div className="mdic-card">
+      <h2>{t("Scenarios")}</h2>
+      <form className="mdic-row" onSubmit={save}>
+        <input
+          className="mdic-input"
+          placeholder={t("Scenario name, e.g. “10 OT hours”")}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className="mdic-btn" type="submit" disabled={!name.trim()}>{t("Save current")}</button>
+      </form>
+
+      {scenarios.length === 0 ? (
+        <div className="mdic-help">{t("No saved scenarios yet. Saved scenarios stay in this browser.")}</div>
+      ) : (
+        <table className="mdic-table">
+          <tbody>
+            {scenarios.map((s) => {
+              const checked = selectedIds.includes(s.id);
+              return (
+                <tr key={s.id}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={checked}
+                      disabled={!checked && selectedIds.length >= MAX_COMPARE}
+                      onChange={() => onToggle(s.id)}
+                      aria-label={t("Compare {name}", { name: s.name })}
+                    />
+                  </td>
+                  <td>
+                    {s.name}
+                    {s.note && <div className="mdic-help">{t(s.note)}</div>}
+                  </td>
+                  <td className="mdic-muted">{t(getDecision(s.decision)?.label ?? s.decision)}</td>
+                  <td className="mdic-muted">{scenarioSettings(s).currency}</td>
+                  <td className="mdic-actions">
+                    <button className="mdic-btn" type="button" onClick={() => onLoad(s)}>{t("Load")}</button>
+                    <button className="mdic-btn" type="button" onClick={() => onDelete(s.id)}>{t("Delete")}</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <div className="mdic-help">{t("Tick 2–{max} scenarios to compare them side by side.", { max: MAX_COMPARE })}</div>
+
+      <div className="mdic-row" style={{ marginTop: 10 }}>
+        <button className="mdic-btn" type="button" onClick={onExport} disabled={scenarios.length === 0}>
+          {t("Export JSON")}
+        </button>
+        <button className="mdic-btn" type="button" onClick={() => fileInput.current?.click()}>
+          {t("Import JSON")}
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) onImport(file);
+            e.target.value = "";
+          }}
+        />
+      </div>
+      {fileMessage && (
+        <div className={fileMessage.ok ? "mdic-help" : "mdic-error"}>{fileMessage.text}</div>
+      )}
+    </div>
+  );
+}
+
+const HORIZON = COMMON_INPUTS.find((f) => f.key === "horizonWeeks");
+
+export function CompareCard({ scenarios, defaultHorizon }) {
+  const loc = useLocale();
+  const { t } = loc;
+  const [horizon, setHorizon] = useState(defaultHorizon);
+
+  // Money is compared in one currency: the scenarios' own, or a reporting currency
+  // they all convert into. Without one they are shown side by side but not ranked.
+  const shared = useMemo(() => sharedCurrency(scenarios.map(scenarioSettings)), [scenarios]);
+
+  const evaluations = useMemo(
+    () => scenarios.map((s) => evaluateScenario(s, horizon === "" ? {} : { horizonWeeks: horizon }, loc)),
+    [scenarios, horizon, loc]
+  );
+  const best = shared ? bestScenarioIndex(evaluations.map((e, i) => scaled(e, shared.factors[i]))) : -1;
+
+  // Union of every compared decision's KPIs, in first-seen order
+  const rows = useMemo(() => {
+    const seen = new Map();
+    for (const e of evaluations) {
+      for (const k of e.decision?.kpis ?? []) if (!seen.has(k.key)) seen.set(k.key, k);
+    }
+    return [...seen.values()];
+  }, [evaluations]);
+
+  const currencyOf = (i) => (shared ? shared.currency : scenarioSettings(scenarios[i]).currency);
+  const valueOf = (k, i) => {
+    const v = evaluations[i].result?.[k.key];
+    if (v == null) return null;
+    return loc.toDisplay(k.time, k.format === "money" && shared ? v * shared.factors[i] : v);
+  };
+  const show = (k, v, i) =>
+    k.format === "money" ? loc.money(v, currencyOf(i)) : loc.kpi({ format: k.format }, v);
+
+  return (
+    <div className="mdic-card">
+      <h2>{t("Compare scenarios")}</h2>
+      <div className="mdic-fields">
+        <div>
+          <label className="mdic-label" htmlFor="mdic-compare-horizon">{t("Compare over horizon ({periods})")}</label>
+          <NumberInput
+            id="mdic-compare-horizon"
+            min="1"
+            value={loc.toDisplay(HORIZON.time, horizon)}
+            setValue={(v) => setHorizon(loc.fromDisplay(HORIZON.time, v))}
+          />
+        </div>
+      </div>
+
+      <div className="mdic-scroll">
+        <table className="mdic-table mdic-compare">
+          <thead>
+            <tr>
+              <th />
+              {scenarios.map((s, i) => (
+                <th key={s.id} className={i === best ? "mdic-best" : undefined}>{s.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>{t("Decision")}</td>
+              {evaluations.map((e, i) => (
+                <td key={scenarios[i].id}>{e.decision ? t(e.decision.label) : "–"}</td>
+              ))}
+            </tr>
+            {rows.map((k) => (
+              <tr key={k.key}>
+                <td>{t(k.title)}</td>
+                {evaluations.map((e, i) => {
+                  const value = valueOf(k, i);
+                  if (value == null) return <td key={scenarios[i].id}>–</td>;
+                  const ref = valueOf(k, 0);
+                  // Amounts in different currencies are not differenced
+                  const comparable = k.format !== "money" || shared;
+                  const delta = i > 0 && ref != null && comparable ? value - ref : 0;
+                  const differs = Math.abs(delta) > 1e-9;
+                  return (
+                    <td key={scenarios[i].id} className={differs ? "mdic-diff" : undefined}>
+                      {show(k, value, i)}
+                      {differs && (
+                        <div className="mdic-delta">
+                          {t("{sign}{amount} vs {name}", {
+                            sign: delta > 0 ? "+" : "−",
+                            amount: show(k, Math.abs(delta), i),
+                            name: scenarios[0].name,
+                          })}
+                        </div>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {evaluations.some((e) => e.problems.length > 0) && (
+        <div className="mdic-error">
+          {evaluations.map((e, i) =>
+            e.problems.length ? <div key={scenarios[i].id}>{scenarios[i].name}: {e.problems.join(" ")}</div> : null
+          )}
+        </div>
+      )}
+
+      <div className="mdic-summary">
+        <strong>{t("Recommendation:")}</strong>{" "}
+        {!shared
+          ? t("These scenarios use different currencies. Give them a common reporting currency and conversion rate to rank them.")
+          : best < 0
+            ? t("None of these scenarios can be evaluated yet.")
+            : t("Over {horizon}, “{name}” has the best total impact ({amount}).", {
+                horizon:
+                  horizon === ""
+                    ? t("each scenario’s own horizon")
+                    : `${loc.formatNumber(loc.toDisplay(HORIZON.time, horizon))} ${t("{periods}")}`,
+                name: scenarios[best].name,
+                amount: loc.money(evaluations[best].result.totalImpact * shared.factors[best], shared.currency),
+              })}
+      </div>
+    </div>
+  );
+}
+
+// An evaluation with its total impact converted, for ranking in a shared currency
+function scaled(evaluation, factor) {
+  if (!evaluation.result) return evaluation;
+  return { ...evaluation, result: { ...evaluation.result, totalImpact: evaluation.result.totalImpact * factor } };
+}
@@ -0,0 +1,38 @@
+// One-at-a-time sensitivity: move each input to a low and high value, re-run the
+// model, and rank inputs by how far total impact swings.
+import { COMMON_INPUTS, inputsFor } from "./decisions/index.js";
+
+const clamp = (f, v) => Math.min(f.max ?? Infinity, Math.max(f.min ?? -Infinity, v));
+const withinLimits = (f, v) => clamp(f, v) === v;
+
+// The ±% values stay inside each input's limits (OEE never goes past 100%); custom values
+// outside them are flagged `outOfRange` and left out of the tornado.
+export function sensitivityRanges(decision, values, pct, overrides = {}) {
+  const inputs = inputsFor(decision, values);
+  const schema = [...COMMON_INPUTS, ...decision.inputs];
+  return schema.map((f) => {
+    const base = Number(inputs[f.key]) || 0;
+    const delta = Math.abs(base) * (Number(pct) || 0) / 100;
+    const o = overrides[f.key] || {};
+    const low = o.low === "" || o.low == null ? clamp(f, base - delta) : Number(o.low);
+    const high = o.high === "" || o.high == null ? clamp(f, base + delta) : Number(o.high);
+    return { field: f, base, low, high, outOfRange: !withinLimits(f, low) || !withinLimits(f, high) };
+  });
+}
+
+export function sensitivity(decision, values, pct, overrides = {}) {
+  const inputs = inputsFor(decision, values);
+  const baseImpact = decision.calculate(inputs).totalImpact;
+
+  const rows = sensitivityRanges(decision, values, pct, overrides)
+    .filter((r) => !r.outOfRange && Number.isFinite(r.low) && Number.isFinite(r.high) && r.low !== r.high)
+    .map((r) => {
+      const lowImpact = decision.calculate({ ...inputs, [r.field.key]: r.low }).totalImpact;
+      const highImpact = decision.calculate({ ...inputs, [r.field.key]: r.high }).totalImpact;
+      return { ...r, lowImpact, highImpact, swing: Math.abs(highImpact - lowImpact) };
+    })
+    .filter((r) => r.swing > 1e-9)
+    .sort((a, b) => b.swing - a.swing);
+
+  return { baseImpact, rows };
+}
@@ -0,0 +1,246 @@
+// Share links (URL hash) and versioned scenario files.
+import { COMMON_INPUTS, defaultValues, fillBlanks, getDecision } from "./decisions/index.js";
+import { checkSettings, createLocale, DEFAULT_SETTINGS } from "./locale.js";
+
+export const SCENARIO_FILE_FORMAT = "mdic-scenarios";
+export const SCENARIO_FILE_VERSION = 4;
+
+// Upgrades a file from version n to n + 1. Inputs added in a version are filled with
+// the value closest to the old behaviour, or the schema default where none exists.
+// Where the model itself changed, the scenario gets a `note` shown next to it.
+// Migrations only fill in what is missing, so they are safe on stored scenarios of
+// any age (see upgradeScenarios).
+export const CAPEX_V1_NOTE =
+  "Saved before Delay CAPEX credited the capital cost avoided while waiting; its total impact now includes that credit and differs from the original.";
+
+const MIGRATIONS = {
+  // v2: Delay CAPEX gained an explicit delay, useful life, salvage and planning period.
+  // Its total impact also changed meaning: v1 showed only the savings missed over the
+  // horizon, v2 adds the capital cost avoided, so old results cannot be reproduced.
+  1: (file) => ({
+    ...file,
+    version: 2,
+    scenarios: (file.scenarios || []).map((s) =>
+      s && s.decision === "capex" && s.inputs && typeof s.inputs === "object" && !("delayWeeks" in s.inputs)
+        ? {
+            ...s,
+            inputs: {
+              // v1 assumed the purchase slipped past the whole horizon
+              ...defaultsFor("capex", ["delayWeeks", "usefulLifeYears", "salvageValue", "planningYears"]),
+              ...(s.common?.horizonWeeks != null && { delayWeeks: s.common.horizonWeeks }),
+              ...s.inputs,
+            },
+            note: CAPEX_V1_NOTE,
+          }
+        : s
+    ),
+  }),
+  // v3: common inputs gained OEE, scrap, demand, inventory and late penalty; their
+  // defaults leave throughput unconstrained, exactly as v2 computed it
+  2: (file) => ({
+    ...file,
+    version: 3,
+    scenarios: (file.scenarios || []).map((s) =>
+      s && s.common && typeof s.common === "object"
+        ? { ...s, common: { ...commonDefaults(NEW_IN_V3), ...s.common } }
+        : s
+    ),
+  }),
+  // v4: scenarios carry their locale, currency and time base; older ones were USD and weeks
+  3: (file) => ({
+    ...file,
+    version: 4,
+    scenarios: (file.scenarios || []).map((s) =>
+      s && typeof s === "object" ? { settings: { ...DEFAULT_SETTINGS }, ...s } : s
+    ),
+  }),
+};
+
+function migrate(file) {
+  while (file.version < SCENARIO_FILE_VERSION) file = MIGRATIONS[file.version](file);
+  return file;
+}
+
+// Scenarios kept in this browser carry no version; running every migration brings
+// entries saved by any earlier MDIC up to date
+export function upgradeScenarios(scenarios) {
+  return migrate({ version: 1, scenarios }).scenarios;
+}
+
+const NEW_IN_V3 = ["baselineOeePct", "baselineScrapPct", "weeklyDemand", "fgInventory", "latePenaltyPerUnitWeek"];
+
+function defaultsFor(decisionId, keys) {
+  const d = getDecision(decisionId);
+  return Object.fromEntries(keys.map((k) => [k, d.inputs.find((f) => f.key === k).default]));
+}
+
+function commonDefaults(keys) {
+  return Object.fromEntries(keys.map((k) => [k, COMMON_INPUTS.find((f) => f.key === k).default]));
+}
+
+// ---- URL hash: #decision=overtime&horizonWeeks=6&otHours=10&currency=EUR ...
+
+const NUMERIC_SETTINGS = ["conversionRate", "shiftsPerWeek"];
+
+export function encodeHash(decision, values, settings = DEFAULT_SETTINGS) {
+  const params = new URLSearchParams({ decision });
+  // Only settings that differ from the defaults, to keep ordinary links short
+  for (const [key, v] of Object.entries(settings)) {
+    if (v !== DEFAULT_SETTINGS[key]) params.set(key, String(v));
+  }
+  const d = getDecision(decision);
+  const write = (group, schema) => {
+    // Fields cleared while typing are left out and fall back to their defaults
+    for (const f of schema) if (group[f.key] !== "") params.set(f.key, String(group[f.key]));
+  };
+  write(values.common, COMMON_INPUTS);
+  if (d) write(values[d.id], d.inputs);
+  return params.toString();
+}
+
+// Returns null when the hash carries no MDIC state; otherwise the decoded state plus
+// any parameters that had to be ignored (unknown decision or non-numeric values).
+// `settings` is null unless the link sets any, so the viewer's own choice stays.
+export function decodeHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (!params.has("decision")) return null;
+
+  const problems = [];
+  let settings = null;
+  const linked = Object.keys(DEFAULT_SETTINGS).filter((key) => params.has(key));
+  if (linked.length) {
+    const candidate = { ...DEFAULT_SETTINGS };
+    for (const key of linked) {
+      const raw = params.get(key);
+      candidate[key] = NUMERIC_SETTINGS.includes(key) && raw !== "" ? Number(raw) : raw;
+    }
+    const bad = checkSettings(candidate);
+    if (bad.length) problems.push(createLocale().t("Link settings ignored: {problems}", { problems: bad.join(" ") }));
+    else settings = candidate;
+  }
+
+  // Messages about the link are worded in the link's own language
+  const { t, fieldName } = createLocale(settings ?? undefined);
+  const values = defaultValues();
+  let decision = params.get("decision");
+  const d = getDecision(decision);
+  if (!d) {
+    problems.push(t("Link uses unknown decision type \"{id}\"; showing Add Overtime instead.", { id: decision }));
+    decision = "overtime";
+  }
+
+  const read = (group, schema) => {
+    for (const f of schema) {
+      if (!params.has(f.key)) continue;
+      const raw = params.get(f.key);
+      const n = Number(raw);
+      if (raw === "" || !Number.isFinite(n)) {
+        problems.push(
+          t("Link value for “{field}” is not a number ({raw}); using {default}.", {
+            field: fieldName(f),
+            raw,
+            default: f.default,
+          })
+        );
+      } else {
+        values[group][f.key] = n;
+      }
+    }
+  };
+  read("common", COMMON_INPUTS);
+  if (d) read(d.id, d.inputs);
+
+  return { decision, values, settings, problems };
+}
+
+// ---- Scenario files
+
+// Scenarios stored before blanks were filled on save get their defaults here, so the
+// file always passes parseScenarioFile
+export function exportScenarioFile(scenarios) {
+  const file = {
+    format: SCENARIO_FILE_FORMAT,
+    version: SCENARIO_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    scenarios: scenarios.map(({ name, decision, common, inputs, settings, savedAt, note }) => ({
+      name,
+      decision,
+      common: fillBlanks(COMMON_INPUTS, common),
+      inputs: fillBlanks(getDecision(decision)?.inputs ?? [], inputs),
+      settings: settings ?? DEFAULT_SETTINGS,
+      savedAt,
+      ...(note && { note }),
+    })),
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+// File messages are in English, with labels resolved for the default week time base
+const { fieldName } = createLocale();
+
+function checkInputs(group, schema, where) {
+  if (!group || typeof group !== "object") throw new Error(`${where} is missing.`);
+  const known = new Set(schema.map((f) => f.key));
+  for (const key of Object.keys(group)) {
+    if (!known.has(key)) throw new Error(`${where} has unknown input "${key}".`);
+  }
+  for (const f of schema) {
+    const v = group[f.key];
+    if (v === undefined) throw new Error(`${where} is missing “${fieldName(f)}” (${f.key}).`);
+    if (typeof v !== "number" || !Number.isFinite(v)) {
+      throw new Error(`${where}: “${fieldName(f)}” must be a number, got ${JSON.stringify(v)}.`);
+    }
+  }
+}
+
+// Parses and validates a scenario file. Throws an Error with a user-facing message
+// instead of guessing at anything it does not understand.
+export function parseScenarioFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+  if (!file || file.format !== SCENARIO_FILE_FORMAT) {
+    throw new Error("This is not an MDIC scenario file.");
+  }
+  if (!Number.isInteger(file.version) || file.version < 1 || file.version > SCENARIO_FILE_VERSION) {
+    throw new Error(
+      `Scenario file version ${JSON.stringify(file.version)} is not supported (this MDIC reads versions 1–${SCENARIO_FILE_VERSION}).`
+    );
+  }
+  file = migrate(file);
+  if (!Array.isArray(file.scenarios) || file.scenarios.length === 0) {
+    throw new Error("The file contains no scenarios.");
+  }
+
+  return file.scenarios.map((s, i) => {
+    const where = `Scenario ${i + 1}${s && s.name ? ` (“${s.name}”)` : ""}`;
+    if (!s || typeof s.name !== "string" || !s.name.trim()) throw new Error(`${where} has no name.`);
+    const d = getDecision(s.decision);
+    if (!d) throw new Error(`${where} uses unknown decision type "${s.decision}".`);
+    checkInputs(s.common, COMMON_INPUTS, `${where} common inputs`);
+    checkInputs(s.inputs, d.inputs, `${where} ${d.label} inputs`);
+    const bad = checkSettings(s.settings);
+    if (bad.length) throw new Error(`${where} settings: ${bad.join(" ")}`);
+    return {
+      name: s.name.trim(),
+      decision: d.id,
+      common: s.common,
+      inputs: s.inputs,
+      settings: { ...s.settings },
+      savedAt: s.savedAt,
+      ...(typeof s.note === "string" && s.note && { note: s.note }),
+    };
+  });
+}
+
+export function downloadFile(filename, data, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,82 @@
+import React from "react";
+import { CURRENCIES, LOCALES, TIME_BASES } from "./locale.js";
+import { useLocale } from "./localeContext.js";
+import { Field } from "./ui.jsx";
+
+// Language and number format, currency, reporting currency and time base. Changing the
+// currency relabels amounts; it does not convert inputs already entered.
+export function SettingsCard({ settings, onChange }) {
+  const { t } = useLocale();
+  const set = (key, v) => onChange({ ...settings, [key]: v });
+  const currencies = CURRENCIES.includes(settings.currency) ? CURRENCIES : [settings.currency, ...CURRENCIES];
+  const converting = settings.reportingCurrency !== "" && settings.reportingCurrency !== settings.currency;
+
+  return (
+    <div className="mdic-card">
+      <h2>{t("Region & units")}</h2>
+      <div className="mdic-fields">
+        <div>
+          <label className="mdic-label" htmlFor="mdic-set-locale">{t("Language & number format")}</label>
+          <select id="mdic-set-locale" className="mdic-select" value={settings.locale} onChange={(e) => set("locale", e.target.value)}>
+            {LOCALES.map((l) => (
+              <option key={l.id} value={l.id}>{l.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="mdic-label" htmlFor="mdic-set-currency">{t("Currency")}</label>
+          <select id="mdic-set-currency" className="mdic-select" value={settings.currency} onChange={(e) => set("currency", e.target.value)}>
+            {currencies.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="mdic-label" htmlFor="mdic-set-reporting">{t("Reporting currency")}</label>
+          <select
+            id="mdic-set-reporting"
+            className="mdic-select"
+            value={settings.reportingCurrency}
+            onChange={(e) => set("reportingCurrency", e.target.value)}
+          >
+            <option value="">{t("None")}</option>
+            {CURRENCIES.filter((c) => c !== settings.currency).map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+        </div>
+        {converting && (
+          <Field
+            label={t("Conversion rate ({reporting} per 1 {currency})", {
+              reporting: settings.reportingCurrency,
+              currency: settings.currency,
+            })}
+            value={settings.conversionRate}
+            setValue={(v) => set("conversionRate", v === "" || v > 0 ? v : "")}
+            step="0.01"
+            min={0}
+          />
+        )}
+        <div>
+          <label className="mdic-label" htmlFor="mdic-set-time">{t("Time basis")}</label>
+          <select id="mdic-set-time" className="mdic-select" value={settings.timeBase} onChange={(e) => set("timeBase", e.target.value)}>
+            {Object.entries(TIME_BASES).map(([id, base]) => (
+              <option key={id} value={id}>{t(base.label)}</option>
+            ))}
+          </select>
+        </div>
+        {settings.timeBase === "shift" && (
+          <Field
+            label={t("Shifts per week")}
+            value={settings.shiftsPerWeek}
+            setValue={(v) => v > 0 && set("shiftsPerWeek", v)}
+            min={1}
+          />
+        )}
+      </div>
+      <div className="mdic-help">
+        {t("Amounts are entered and shown in the currency above; with a reporting currency and rate, results also show the converted amount. Rates and durations are entered per {period}; the models still run week by week. These settings are saved with each scenario.")}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from "react";
+import { COMMON_INPUTS, IMPACT_KPIS, inputsFor } from "./decisions/index.js";
+import { defaultBounds, goalSeek } from "./goalseek.js";
+import { useLocale } from "./localeContext.js";
+import { NumberInput } from "./ui.jsx";
+
+function round(v) {
+  return Math.abs(v) >= 100 ? +v.toFixed(1) : +v.toFixed(3);
+}
+
+// Target and bounds are typed in the locale's time base and converted to the models'
+// weekly units before solving.
+export function GoalSeekCard({ decision, values, onApply }) {
+  const loc = useLocale();
+  const { t } = loc;
+  const schema = useMemo(() => [...COMMON_INPUTS, ...decision.inputs], [decision]);
+  const [key, setKey] = useState(decision.inputs[0]?.key ?? COMMON_INPUTS[0].key);
+  const [metric, setMetric] = useState("netImpactPerWeek");
+  const [target, setTarget] = useState(0);
+  const [lo, setLo] = useState("");
+  const [hi, setHi] = useState("");
+
+  const field = schema.find((f) => f.key === key);
+  const kpi = IMPACT_KPIS.find((k) => k.key === metric);
+  const current = inputsFor(decision, values)[key];
+  const bounds = defaultBounds(field, current);
+
+  // The scan runs the model a few hundred times, so it only reruns when this decision's
+  // inputs or the search change, not on edits to other decisions' fields
+  const common = values.common;
+  const own = values[decision.id];
+  const result = useMemo(() => {
+    const time = schema.find((f) => f.key === key).time;
+    return goalSeek(decision, { common, [decision.id]: own }, key, {
+      metric,
+      target: loc.fromDisplay(IMPACT_KPIS.find((k) => k.key === metric).time, Number(target) || 0),
+      lo: lo === "" ? undefined : loc.fromDisplay(time, lo),
+      hi: hi === "" ? undefined : loc.fromDisplay(time, hi),
+    });
+  }, [schema, decision, common, own, key, metric, target, lo, hi, loc]);
+
+  // Input values and results, shown in the time base
+  const inputText = (v) => `${loc.formatNumber(round(loc.toDisplay(field.time, v)))} ${loc.unit(field)}`.trim();
+  const metricText = (v) => loc.money(loc.toDisplay(kpi.time, v));
+  const metricLabel = loc.lower(t(kpi.title));
+  const isCommon = COMMON_INPUTS.some((f) => f.key === key);
+
+  return (
+    <div className="mdic-card">
+      <h2>{t("Goal seek / breakeven")}</h2>
+      <div className="mdic-fields">
+        <div>
+          <label className="mdic-label" htmlFor="mdic-gs-input">{t("Solve for input")}</label>
+          <select
+            id="mdic-gs-input"
+            className="mdic-select"
+            value={key}
+            onChange={(e) => {
+              setKey(e.target.value);
+              setLo("");
+              setHi("");
+            }}
+          >
+            {schema.map((f) => (
+              <option key={f.key} value={f.key}>{loc.fieldLabel(f)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="mdic-label" htmlFor="mdic-gs-metric">{t("So that")}</label>
+          <select id="mdic-gs-metric" className="mdic-select" value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {IMPACT_KPIS.map((m) => (
+              <option key={m.key} value={m.key}>{t(m.title)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="mdic-label" htmlFor="mdic-gs-target">
+            {t("Equals ({currency}, 0 = breakeven)", { currency: loc.currencySymbol })}
+          </label>
+          <NumberInput id="mdic-gs-target" step="100" value={target} setValue={setTarget} />
+        </div>
+        <div>
+          <label className="mdic-label">{t("Search between")}</label>
+          <div className="mdic-row">
+            <NumberInput
+              aria-label={t("Lower bound")}
+              placeholder={loc.formatNumber(round(loc.toDisplay(field.time, bounds.lo)))}
+              value={lo}
+              setValue={setLo}
+            />
+            <span>{t("and")}</span>
+            <NumberInput
+              aria-label={t("Upper bound")}
+              placeholder={loc.formatNumber(round(loc.toDisplay(field.time, bounds.hi)))}
+              value={hi}
+              setValue={setHi}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="mdic-summary">
+        {result.reason ? (
+          t(result.reason)
+        ) : result.found ? (
+          <>
+            {t("{field} = {value} gives a {metric} of {amount} (today: {today}).", {
+              field: loc.fieldName(field),
+              value: inputText(result.value),
+              metric: metricLabel,
+              amount: metricText(result.achieved),
+              today: inputText(current),
+            })}{" "}
+            <button
+              className="mdic-btn"
+              type="button"
+              onClick={() => onApply(isCommon ? "common" : decision.id, key, round(result.value))}
+            >
+              {t("Use this value")}
+            </button>
+          </>
+        ) : (
+          t(
+            "No value of {field} between {lo} and {hi} reaches a {metric} of {target}. The closest is {closest}, giving {amount}. Widen the search range or pick another input.",
+            {
+              field: loc.fieldName(field),
+              lo: loc.formatNumber(round(loc.toDisplay(field.time, result.lo))),
+              hi: loc.formatNumber(round(loc.toDisplay(field.time, result.hi))),
+              metric: metricLabel,
+              target: loc.money(Number(target) || 0),
+              closest: inputText(result.closest),
+              amount: metricText(result.achieved),
+            }
+          )
+        )}
+      </div>
+      <div className="mdic-help">
+        {t("Every other input stays as entered. The search scans the range and refines each crossing; when there are several, the one closest to today’s value is shown.")}
+      </div>
+    </div>
+  );
+}
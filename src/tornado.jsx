@@ -0,0 +1,130 @@
+import React, { useMemo, useState } from "react";
+import { useLocale } from "./localeContext.js";
+import { sensitivity, sensitivityRanges } from "./sensitivity.js";
+import { NumberInput } from "./ui.jsx";
+
+export function SensitivityCard({ decision, values }) {
+  const loc = useLocale();
+  const { t } = loc;
+  const [pct, setPct] = useState(20);
+  const [overrides, setOverrides] = useState({});
+  const [showRanges, setShowRanges] = useState(false);
+
+  const ranges = useMemo(
+    () => sensitivityRanges(decision, values, pct, overrides),
+    [decision, values, pct, overrides]
+  );
+  const { baseImpact, rows } = useMemo(
+    () => sensitivity(decision, values, pct, overrides),
+    [decision, values, pct, overrides]
+  );
+
+  const outOfRange = ranges.filter((r) => r.outOfRange).map((r) => loc.fieldName(r.field));
+
+  const setOverride = (key, side, v) =>
+    setOverrides((prev) => ({ ...prev, [key]: { ...prev[key], [side]: v } }));
+
+  return (
+    <div className="mdic-card">
+      <h2>{t("Sensitivity (tornado)")}</h2>
+      <div className="mdic-fields">
+        <div>
+          <label className="mdic-label" htmlFor="mdic-sens-pct">{t("Move each input by (±%)")}</label>
+          <NumberInput id="mdic-sens-pct" min="0" step="5" value={pct} setValue={setPct} />
+        </div>
+      </div>
+
+      <Tornado rows={rows} baseImpact={baseImpact} />
+      {outOfRange.length > 0 && (
+        <div className="mdic-error">
+          {t("Left out because a custom value is outside the input’s limits: {fields}.", { fields: outOfRange.join(", ") })}
+        </div>
+      )}
+
+      <div className="mdic-row" style={{ marginTop: 10 }}>
+        <button className="mdic-btn" type="button" onClick={() => setShowRanges((s) => !s)}>
+          {showRanges ? t("Hide custom ranges") : t("Set custom low / high")}
+        </button>
+        {Object.keys(overrides).length > 0 && (
+          <button className="mdic-btn" type="button" onClick={() => setOverrides({})}>{t("Reset ranges")}</button>
+        )}
+      </div>
+
+      {showRanges && (
+        <table className="mdic-table">
+          <thead>
+            <tr>
+              <th>{t("Input")}</th>
+              <th>{t("Low")}</th>
+              <th>{t("High")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranges.map((r) => (
+              <tr key={r.field.key}>
+                <td>{loc.fieldLabel(r.field)}</td>
+                {["low", "high"].map((side) => (
+                  <td key={side}>
+                    <NumberInput
+                      step={String(r.field.step ?? 1)}
+                      placeholder={loc.formatNumber(loc.toDisplay(r.field.time, r[side]))}
+                      value={loc.toDisplay(r.field.time, overrides[r.field.key]?.[side] ?? "")}
+                      setValue={(v) => setOverride(r.field.key, side, loc.fromDisplay(r.field.time, v))}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="mdic-help">
+        {t("Each bar re-runs the model with one input at its low or high value and everything else unchanged. The longest bars are the estimates worth firming up first. Inputs at 0 only move with a custom range.")}
+      </div>
+    </div>
+  );
+}
+
+function Tornado({ rows, baseImpact }) {
+  const loc = useLocale();
+  const { t } = loc;
+  if (rows.length === 0) {
+    return <div className="mdic-help">{t("No input moves the total impact at this range.")}</div>;
+  }
+
+  const reach = Math.max(
+    ...rows.flatMap((r) => [Math.abs(r.lowImpact - baseImpact), Math.abs(r.highImpact - baseImpact)])
+  );
+  // Percent offsets from the centre line (base case), half the track each side
+  const pos = (impact) => 50 + ((impact - baseImpact) / reach) * 50;
+
+  return (
+    <div className="mdic-tornado">
+      <div className="mdic-tornado-axis">{t("Base case total impact: {amount}", { amount: loc.money(baseImpact) })}</div>
+      {rows.map((r) => (
+        <div className="mdic-tornado-row" key={r.field.key}>
+          <div className="mdic-tornado-label" title={loc.fieldLabel(r.field)}>{loc.fieldName(r.field)}</div>
+          <div className="mdic-tornado-track">
+            <Bar from={50} to={pos(r.lowImpact)} className="mdic-bar-low" />
+            <Bar from={50} to={pos(r.highImpact)} className="mdic-bar-high" />
+            <div className="mdic-tornado-center" />
+          </div>
+          <div className="mdic-tornado-range">
+            {loc.money(Math.min(r.lowImpact, r.highImpact))} … {loc.money(Math.max(r.lowImpact, r.highImpact))}
+          </div>
+        </div>
+      ))}
+      <div className="mdic-help">
+        <span className="mdic-swatch mdic-bar-low" /> {t("input at low value")}{" "}
+        <span className="mdic-swatch mdic-bar-high" /> {t("input at high value")}
+      </div>
+    </div>
+  );
+}
+
+function Bar({ from, to, className }) {
+  const left = Math.min(from, to);
+  const width = Math.abs(to - from);
+  return <div className={`mdic-tornado-bar ${className}`} style={{ left: `${left}%`, width: `${width}%` }} />;
+}
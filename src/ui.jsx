@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { useLocale } from "./localeContext.js";
+
+// Number entry in the active locale ("1.234,5" in German). Keeps the typed text while
+// focused, so half-typed values like "12," are not reformatted under the cursor.
+export function NumberInput({ value, setValue, step = "1", min, max, ...props }) {
+  const loc = useLocale();
+  const [draft, setDraft] = useState(null);
+  const shown = draft ?? loc.formatNumber(value);
+  const invalid = draft != null && Number.isNaN(loc.parseNumber(draft));
+
+  const stepBy = (dir) => {
+    const s = Number(step) || 1;
+    let n = (Number(value) || 0) + dir * s;
+    if (min != null) n = Math.max(Number(min), n);
+    if (max != null) n = Math.min(Number(max), n);
+    // Keep the step's precision: 0.1 + 0.2 should read 0.3
+    const digits = (String(step).split(".")[1] || "").length;
+    n = Number(n.toFixed(digits));
+    setValue(n);
+    setDraft(loc.formatNumber(n));
+  };
+
+  return (
+    <input
+      className="mdic-input"
+      type="text"
+      inputMode="decimal"
+      autoComplete="off"
+      {...props}
+      value={shown}
+      aria-invalid={invalid || undefined}
+      onFocus={() => setDraft(shown)}
+      onBlur={() => setDraft(null)}
+      onChange={(e) => {
+        // Pass numbers up as soon as they parse, allow empty while typing
+        setDraft(e.target.value);
+        const n = loc.parseNumber(e.target.value);
+        if (!Number.isNaN(n)) setValue(n);
+      }}
+      onKeyDown={(e) => {
+        if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+        e.preventDefault();
+        stepBy(e.key === "ArrowUp" ? 1 : -1);
+      }}
+    />
+  );
+}
+
+export function Field({ label, value, setValue, step = "1", min, max }) {
+  const id = React.useId();
+
+  return (
+    <div>
+      <label className="mdic-label" htmlFor={id}>{label}</label>
+      <NumberInput id={id} value={value} setValue={setValue} step={step} min={min} max={max} />
+    </div>
+  );
+}
+
+export function KPI({ title, value, note }) {
+  return (
+    <div className="mdic-kpi">
+      <div className="kpi-title">{title}</div>
+      <div className="kpi-value">{value}</div>
+      {note && <div className="kpi-note">{note}</div>}
+    </div>
+  );
+}
+
+// Inputs are held per week; the card shows and accepts them in the locale's time base
+export function InputCard({ title, schema, values, setValue, problems = [], help }) {
+  const loc = useLocale();
+
+  return (
+    <div className="mdic-card">
+      <h2>{title}</h2>
+      <div className="mdic-fields">
+        {schema.map((f) => (
+          <Field
+            key={f.key}
+            label={loc.fieldLabel(f)}
+            value={loc.toDisplay(f.time, values[f.key])}
+            setValue={(v) => setValue(f.key, loc.fromDisplay(f.time, v))}
+            step={String(f.step ?? 1)}
+            min={loc.toDisplay(f.time, f.min)}
+            max={loc.toDisplay(f.time, f.max)}
+          />
+        ))}
+      </div>
+      {help && <div className="mdic-help">{help}</div>}
+      {problems.length > 0 && (
+        <div className="mdic-error">
+          {problems.map((p) => (
+            <div key={p}>{p}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
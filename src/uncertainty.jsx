@@ -0,0 +1,192 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { COMMON_INPUTS, inputsFor } from "./decisions/index.js";
+import { useLocale } from "./localeContext.js";
+import { checkRanges } from "./montecarlo.js";
+import { KPI, NumberInput } from "./ui.jsx";
+
+const RUN_OPTIONS = [1000, 2000, 5000, 10000];
+
+// Posts simulation requests to a worker; stale answers are dropped by request id.
+function useSimulation(request) {
+  const worker = useRef(null);
+  const latest = useRef(0);
+  const [state, setState] = useState({ result: null, error: null, running: false });
+
+  useEffect(() => {
+    const w = new Worker(new URL("./montecarlo.worker.js", import.meta.url), { type: "module" });
+    w.onmessage = (e) => {
+      const { id, result, error } = e.data;
+      if (id !== latest.current) return;
+      setState({ result: result ?? null, error: error ?? null, running: false });
+    };
+    worker.current = w;
+    return () => w.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (!request) return;
+    const id = ++latest.current;
+    // Short debounce so a burst of keystrokes only runs the last one
+    const t = setTimeout(() => {
+      setState((s) => ({ ...s, running: true }));
+      worker.current?.postMessage({ id, request });
+    }, 250);
+    return () => clearTimeout(t);
+  }, [request]);
+
+  return state;
+}
+
+// Ranges are held per week like the inputs they vary and shown in the time base
+export function UncertaintyCard({ decision, values }) {
+  const loc = useLocale();
+  const { t } = loc;
+  const [enabled, setEnabled] = useState(false);
+  const [ranges, setRanges] = useState({});
+  const [shape, setShape] = useState("pert");
+  const [runs, setRuns] = useState(5000);
+
+  const schema = useMemo(() => [...COMMON_INPUTS, ...decision.inputs], [decision]);
+  const inputs = inputsFor(decision, values);
+  const problems = useMemo(() => checkRanges(decision, values, ranges, loc), [decision, values, ranges, loc]);
+
+  const request = useMemo(
+    () =>
+      enabled && problems.length === 0
+        ? { decisionId: decision.id, values, ranges, shape, runs }
+        : null,
+    [enabled, problems, decision, values, ranges, shape, runs]
+  );
+  const { result, error, running } = useSimulation(request);
+
+  const setRange = (key, side, v) =>
+    setRanges((prev) => ({ ...prev, [key]: { min: "", max: "", ...prev[key], [side]: v } }));
+
+  return (
+    <div className="mdic-card">
+      <h2>{t("Uncertainty (Monte Carlo)")}</h2>
+      <label className="mdic-row">
+        <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+        <span>{t("Enter inputs as min / most likely / max and simulate")}</span>
+      </label>
+
+      {enabled && (
+        <>
+          <div className="mdic-fields" style={{ marginTop: 10 }}>
+            <div>
+              <label className="mdic-label" htmlFor="mdic-mc-shape">{t("Distribution")}</label>
+              <select id="mdic-mc-shape" className="mdic-select" value={shape} onChange={(e) => setShape(e.target.value)}>
+                <option value="pert">{t("PERT (smooth, favours most likely)")}</option>
+                <option value="triangular">{t("Triangular")}</option>
+              </select>
+            </div>
+            <div>
+              <label className="mdic-label" htmlFor="mdic-mc-runs">{t("Simulations")}</label>
+              <select id="mdic-mc-runs" className="mdic-select" value={runs} onChange={(e) => setRuns(Number(e.target.value))}>
+                {RUN_OPTIONS.map((n) => (
+                  <option key={n} value={n}>{loc.number(n)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <table className="mdic-table">
+            <thead>
+              <tr>
+                <th>{t("Input")}</th>
+                <th>{t("Min")}</th>
+                <th>{t("Most likely")}</th>
+                <th>{t("Max")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schema.map((f) => (
+                <tr key={f.key}>
+                  <td>{loc.fieldLabel(f)}</td>
+                  {["min", "max"].map((side, i) => (
+                    <React.Fragment key={side}>
+                      {i === 1 && <td className="mdic-muted">{loc.formatNumber(loc.toDisplay(f.time, inputs[f.key]))}</td>}
+                      <td>
+                        <NumberInput
+                          step={String(f.step ?? 1)}
+                          placeholder={t("fixed")}
+                          value={loc.toDisplay(f.time, ranges[f.key]?.[side] ?? "")}
+                          setValue={(v) => setRange(f.key, side, loc.fromDisplay(f.time, v))}
+                        />
+                      </td>
+                    </React.Fragment>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {problems.length > 0 && (
+            <div className="mdic-error">
+              {problems.map((p) => (
+                <div key={p}>{p}</div>
+              ))}
+            </div>
+          )}
+          {error && <div className="mdic-error">{t("Simulation failed: {error}", { error })}</div>}
+
+          {result && problems.length === 0 && (
+            <div style={{ opacity: running ? 0.6 : 1 }}>
+              {result.uncertainCount === 0 && (
+                <div className="mdic-help">{t("Give at least one input a min and max to see a spread.")}</div>
+              )}
+              <div className="mdic-kpis" style={{ marginTop: 12 }}>
+                <KPI title={t("P10 total impact")} value={loc.money(result.p10)} note={loc.reportingMoney(result.p10)} />
+                <KPI title={t("P50 total impact")} value={loc.money(result.p50)} note={loc.reportingMoney(result.p50)} />
+                <KPI title={t("P90 total impact")} value={loc.money(result.p90)} note={loc.reportingMoney(result.p90)} />
+                <KPI title={t("Chance of losing money")} value={loc.kpi({ format: "percent" }, result.lossProbability * 100)} />
+              </div>
+              <Histogram bins={result.histogram} />
+              <div className="mdic-help">
+                {t("{runs} simulations. Per {period}: P10 {p10}, P50 {p50}, P90 {p90}. P10 means a 10% chance of doing worse.", {
+                  runs: loc.number(result.runs),
+                  p10: loc.money(loc.toDisplay("rate", result.weeklyP10)),
+                  p50: loc.money(loc.toDisplay("rate", result.weeklyP50)),
+                  p90: loc.money(loc.toDisplay("rate", result.weeklyP90)),
+                })}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function Histogram({ bins }) {
+  const loc = useLocale();
+  const max = Math.max(...bins.map((b) => b.count), 1);
+  const w = 300;
+  const h = 80;
+  const bw = w / bins.length;
+  return (
+    <div className="mdic-histogram">
+      <svg viewBox={`0 0 ${w} ${h}`} preserveAspectRatio="none" role="img" aria-label={loc.t("Distribution of total impact")}>
+        {bins.map((b, i) => {
+          const bh = (b.count / max) * h;
+          return (
+            <rect
+              key={i}
+              x={i * bw + 0.5}
+              y={h - bh}
+              width={Math.max(0, bw - 1)}
+              height={bh}
+              className={b.to <= 0 ? "mdic-hist-loss" : "mdic-hist-gain"}
+            >
+              <title>{`${loc.money(b.from)} … ${loc.money(b.to)}: ${b.count}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="mdic-histogram-axis">
+        <span>{loc.money(bins[0].from)}</span>
+        <span>{loc.money(bins[bins.length - 1].to)}</span>
+      </div>
+    </div>
+  );
+}
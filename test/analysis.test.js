@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { capexCashFlows, capexDcf, defaultValues, evaluate, getDecision, goalSeek, inputsFor, sensitivity, simulate } from "../src/engine.js";
+import { sensitivityRanges } from "../src/sensitivity.js";
+import { near } from "./helpers.js";
+
+describe("Delay CAPEX cash flows", () => {
+  const dcf = capexDcf(evaluate("capex", {}).inputs);
+
+  it("pins NPV, payback and IRR at the defaults", () => {
+    near(dcf.npvNow, 75019.28);
+    near(dcf.npvDelayed, 70048.18);
+    assert.equal(dcf.paybackNowWeeks, 139);
+    assert.equal(dcf.paybackDelayedWeeks, 139);
+    near(dcf.irrNowPct, 38.14);
+    near(dcf.irrDelayedPct, 37.68);
+    assert.equal(dcf.breakevenDelayWeeks, 241);
+  });
+
+  it("finds the breakeven delay the same way as rebuilding every delayed purchase", () => {
+    const { inputs } = evaluate("capex", { planningYears: 12, usefulLifeYears: 4, salvageValue: 20000 });
+    const rate = Math.pow(1 + inputs.costOfCapitalPct / 100, 1 / 52) - 1;
+    const pv = (flows) => flows.reduce((n, f, w) => n + f / Math.pow(1 + rate, w), 0);
+    let expected = 0;
+    while (expected + 1 <= 12 * 52 && pv(capexCashFlows(inputs, expected + 1)) >= 0) expected++;
+    assert.equal(capexDcf(inputs).breakevenDelayWeeks, expected);
+  });
+
+  it("cumulative PV ends at the NPV", () => {
+    const last = dcf.weeks[dcf.weeks.length - 1];
+    near(last.cumNow, dcf.npvNow);
+    near(last.cumDelayed, dcf.npvDelayed);
+  });
+});
+
+describe("goal seek", () => {
+  const decision = getDecision("overtime");
+
+  it("finds the overtime hours that hit a weekly target", () => {
+    const values = defaultValues();
+    values.common.sellPrice = 20;
+    values.overtime.fatiguePerfDeltaPct = 10;
+    const r = goalSeek(decision, values, "otHours", { metric: "netImpactPerWeek", target: -1500 });
+    assert.equal(r.found, true);
+    near(r.value, 52.57);
+    near(r.achieved, -1500);
+  });
+
+  it("reports the closest value when the target is out of reach", () => {
+    const r = goalSeek(decision, defaultValues(), "otHours", { target: 1e9 });
+    assert.equal(r.found, false);
+    assert.ok(Number.isFinite(r.closest));
+  });
+
+  it("does not mistake a jump over the target for a root", () => {
+    const capex = getDecision("capex");
+    const values = defaultValues();
+    // The delayed purchase is rounded to whole weeks, so the NPV steps between 10 and 11
+    const npvAt = (delayWeeks) => capex.calculate({ ...inputsFor(capex, values), delayWeeks }).npvDelayImpact;
+    const target = (npvAt(10) + npvAt(11)) / 2;
+    const r = goalSeek(capex, values, "delayWeeks", { metric: "npvDelayImpact", target });
+    assert.equal(r.found, false);
+    near(Math.abs(r.achieved - target), (npvAt(10) - npvAt(11)) / 2);
+  });
+
+  it("never reports a value the input form would reject", () => {
+    // Every impact is 0 over a horizon of 0 weeks, but that horizon is not allowed
+    const r = goalSeek(decision, defaultValues(), "horizonWeeks", { metric: "totalImpact", target: 0 });
+    assert.equal(r.found, false);
+    assert.ok(r.closest > 0);
+  });
+
+  it("rejects unknown inputs", () => {
+    assert.throws(() => goalSeek(decision, defaultValues(), "nope", {}), /Unknown input "nope"/);
+  });
+});
+
+describe("Monte Carlo", () => {
+  const values = defaultValues();
+  values.common.sellPrice = 20;
+  const ranges = { rampStartProductivityPct: { min: 40, max: 90 }, agencyMarkupPct: { min: 30, max: 50 } };
+
+  it("is repeatable for a given seed", () => {
+    const a = simulate({ decisionId: "temp", values, ranges, runs: 1000, seed: 7 });
+    const b = simulate({ decisionId: "temp", values, ranges, runs: 1000, seed: 7 });
+    assert.deepEqual(a, b);
+    near(a.p10, 16768.65);
+    near(a.p50, 20991.45);
+    near(a.p90, 25745.89);
+    assert.equal(a.lossProbability, 0);
+    assert.equal(a.histogram.reduce((n, bin) => n + bin.count, 0), 1000);
+  });
+
+  it("rejects ranges that do not bracket the current value or name unknown inputs", () => {
+    assert.throws(
+      () => simulate({ decisionId: "temp", values, ranges: { agencyMarkupPct: { min: 40, max: 50 } } }),
+      /need min ≤ most likely/
+    );
+    assert.throws(
+      () => simulate({ decisionId: "temp", values, ranges: { otHours: { min: 0, max: 5 } } }),
+      /Unknown input "otHours"/
+    );
+  });
+});
+
+describe("sensitivity", () => {
+  it("ranks the inputs by swing in total impact", () => {
+    const values = defaultValues();
+    values.common.sellPrice = 20;
+    const { baseImpact, rows } = sensitivity(getDecision("overtime"), values, 20);
+    near(baseImpact, -6510);
+    assert.ok(rows.length > 0);
+    for (let i = 1; i < rows.length; i++) assert.ok(rows[i - 1].swing >= rows[i].swing);
+  });
+
+  it("keeps each input inside its limits", () => {
+    const values = defaultValues();
+    values.common.sellPrice = 20;
+    values.common.baselineOeePct = 100;
+    const overtime = getDecision("overtime");
+    const oee = sensitivityRanges(overtime, values, 20).find((r) => r.field.key === "baselineOeePct");
+    assert.deepEqual([oee.low, oee.high, oee.outOfRange], [80, 100, false]);
+
+    const premium = sensitivityRanges(overtime, values, 50).find((r) => r.field.key === "otPremium");
+    assert.equal(premium.low, 1);
+
+    const custom = { baselineOeePct: { high: 120 } };
+    const flagged = sensitivityRanges(overtime, values, 20, custom).find((r) => r.field.key === "baselineOeePct");
+    assert.equal(flagged.outOfRange, true);
+    const { rows } = sensitivity(overtime, values, 20, custom);
+    assert.ok(!rows.some((r) => r.field.key === "baselineOeePct"));
+  });
+});
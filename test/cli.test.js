@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { parseCsv } from "../src/engine.js";
+import { near } from "./helpers.js";
+
+const CLI = fileURLToPath(new URL("../bin/mdic.js", import.meta.url));
+const FIXTURE = fileURLToPath(new URL("./fixtures/batch.csv", import.meta.url));
+
+function mdic(...args) {
+  return pipe("", ...args);
+}
+
+function pipe(input, ...args) {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, [CLI, ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+    child.stdin.end(input);
+  });
+}
+
+describe("mdic CLI", () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "mdic-"));
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("evaluates a CSV batch to JSON on stdout", async () => {
+    const { code, stdout } = await mdic(FIXTURE);
+    assert.equal(code, 0);
+    const results = JSON.parse(stdout);
+    assert.deepEqual(results.map((r) => r.name), ["OT 10", "OT 20", "Temps"]);
+    near(results[0].result.totalImpact, -6510);
+    near(results[1].result.totalImpact, -9660);
+    near(results[2].result.totalImpact, 21038);
+  });
+
+  it("writes CSV when the output file asks for it", async () => {
+    const out = join(dir, "results.csv");
+    assert.equal((await mdic(FIXTURE, "-o", out)).code, 0);
+    const [header, ...rows] = parseCsv(await readFile(out, "utf8"));
+    assert.deepEqual(header.slice(0, 3), ["name", "decision", "ok"]);
+    assert.equal(rows.length, 3);
+    near(Number(rows[2][header.indexOf("totalImpact")]), 21038);
+  });
+
+  it("answers CSV on stdin with CSV", async () => {
+    const { code, stdout } = await pipe(await readFile(FIXTURE, "utf8"), "-", "--format", "csv");
+    assert.equal(code, 0);
+    const [header, ...rows] = parseCsv(stdout);
+    assert.equal(header[0], "name");
+    assert.equal(rows.length, 3);
+  });
+
+  it("exits 1 and names the invalid rows", async () => {
+    const input = join(dir, "bad.json");
+    await writeFile(input, JSON.stringify([{ name: "Bad", decision: "overtime", otHours: "lots" }, { decision: "overtime" }]));
+    const { code, stdout, stderr } = await mdic(input);
+    assert.equal(code, 1);
+    assert.match(stderr, /^Bad: Input "otHours" must be a number/);
+    assert.equal(JSON.parse(stdout)[1].ok, true);
+  });
+
+  it("lists inputs with their labels resolved in weeks and dollars", async () => {
+    const { code, stdout } = await mdic("--list");
+    assert.equal(code, 0);
+    assert.match(stdout, /otHours +Overtime hours \(hrs\/week\), default 10/);
+    assert.doesNotMatch(stdout, /\{period/);
+  });
+
+  it("exits 2 on bad usage or unreadable input", async () => {
+    assert.equal((await mdic()).code, 2);
+    assert.equal((await mdic("--bogus", FIXTURE)).code, 2);
+    assert.equal((await mdic(join(dir, "missing.csv"))).code, 2);
+    assert.equal((await mdic(FIXTURE, "-o")).code, 2);
+    const { code, stderr } = await mdic(FIXTURE, "-o", "--format", "csv");
+    assert.equal(code, 2);
+    assert.match(stderr, /^-o needs a value/);
+  });
+});
@@ -0,0 +1,103 @@
+// Pins the outputs of every decision model at its defaults, so refactors that change
+// a number show up here instead of in a leadership meeting.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DECISIONS, evaluate } from "../src/engine.js";
+import { near } from "./helpers.js";
+
+// [netImpactPerWeek, totalImpact] with the default inputs and a sell price of 0 / $20
+const PINNED = {
+  overtime: { 0: [-525, -3150], 20: [-1085, -6510] },
+  temp: { 0: [-8078.67, -48472], 20: [3506.33, 21038] },
+  headcount: { 0: [-1323.33, -7940], 20: [-1323.33, -7940] },
+  deferpm: { 0: [-44.29, -265.76], 20: [-233.17, -1399.05] },
+  rate: { 0: [-100, -600], 20: [967.62, 5805.7] },
+  capex: { 0: [192.31, 1153.85], 20: [192.31, 1153.85] },
+};
+
+describe("decision models", () => {
+  it("has a pinned result for every registered decision", () => {
+    assert.deepEqual(DECISIONS.map((d) => d.id).sort(), Object.keys(PINNED).sort());
+  });
+
+  for (const [id, bySellPrice] of Object.entries(PINNED)) {
+    for (const [sellPrice, [weekly, total]] of Object.entries(bySellPrice)) {
+      it(`${id} at a sell price of $${sellPrice}`, () => {
+        const { result, problems } = evaluate(id, { sellPrice: Number(sellPrice) });
+        assert.deepEqual(problems, []);
+        near(result.netImpactPerWeek, weekly);
+        near(result.totalImpact, total);
+      });
+    }
+  }
+
+  // Delay CAPEX tabulates cash flows over the planning period, not the horizon
+  for (const d of DECISIONS.filter((d) => d.weekly && d.id !== "capex")) {
+    it(`${d.id} weekly breakdown adds up to the total`, () => {
+      const { inputs, result } = evaluate(d.id, { sellPrice: 20 });
+      const { rows } = d.weekly(inputs);
+      near(rows.reduce((n, r) => n + r.net, 0), result.totalImpact);
+    });
+  }
+
+  // Demand just above today's output: backlog and late penalties vary week by week
+  for (const d of DECISIONS.filter((d) => d.weekly && d.id !== "capex")) {
+    it(`${d.id} weekly breakdown adds up to the total when demand-constrained`, () => {
+      const constrained = { sellPrice: 20, weeklyDemand: 2050, fgInventory: 100, latePenaltyPerUnitWeek: 0.5 };
+      const { inputs, result } = evaluate(d.id, constrained);
+      const { rows } = d.weekly(inputs);
+      near(rows.reduce((n, r) => n + r.net, 0), result.totalImpact);
+      near(rows.at(-1).cumulative, result.totalImpact);
+    });
+  }
+
+  // A horizon of months is not a whole number of weeks; the last row is a part week
+  for (const d of DECISIONS.filter((d) => d.weekly && d.id !== "capex")) {
+    it(`${d.id} weekly breakdown adds up to the total over a part week`, () => {
+      for (const extra of [{}, { weeklyDemand: 2050, fgInventory: 100, latePenaltyPerUnitWeek: 0.5 }]) {
+        const { inputs, result } = evaluate(d.id, { sellPrice: 20, horizonWeeks: 6.5, ...extra });
+        const { rows } = d.weekly(inputs);
+        assert.equal(rows.length, 7);
+        near(rows.at(-1).cumulative, result.totalImpact);
+      }
+    });
+  }
+
+  it("counts a part week at the end for its share", () => {
+    near(evaluate("overtime", { sellPrice: 20, horizonWeeks: 6.5 }).result.totalImpact, -1085 * 6.5);
+  });
+
+  it("extra output is worth nothing once demand is met", () => {
+    const { result } = evaluate("overtime", { sellPrice: 20, weeklyDemand: 1500 });
+    near(result.totalImpact, -3150);
+  });
+
+  it("reports unknown decisions, unknown inputs and bad values", () => {
+    assert.match(evaluate("nope", {}).problems[0], /Unknown decision type "nope"/);
+    assert.match(evaluate("overtime", { tempCount: 2 }).problems[0], /Unknown input "tempCount"/);
+    assert.match(evaluate("overtime", { otHours: "ten" }).problems[0], /must be a number/);
+    assert.equal(evaluate("overtime", { otHours: -1 }).result, null);
+    assert.deepEqual(evaluate("overtime", { otHours: -1 }).problems, ["Overtime hours must be at least 0."]);
+    assert.deepEqual(evaluate("overtime", { runtimePerWeek: 0 }).problems, ["Please enter: planned runtime per week."]);
+  });
+
+  it("needs a crew before it can cut one", () => {
+    const { result, problems } = evaluate("headcount", { currentCrew: 0, headcountReduction: 0, sellPrice: 20 });
+    assert.equal(result, null);
+    assert.deepEqual(problems, ["Please enter: current crew."]);
+
+    const uncut = evaluate("headcount", { headcountReduction: 0, sellPrice: 20 }).result;
+    assert.equal(uncut.rateFactor, 1);
+    assert.equal(uncut.deltaGoodUnits, 0);
+  });
+
+  it("grows every speed penalty with the same exponent", () => {
+    const at = (targetUnitsPerHr) => evaluate("rate", { targetUnitsPerHr }).result;
+    near(at(60).wearCost, 4 * at(55).wearCost);
+    near(at(60).scrapDeltaPp, 4 * at(55).scrapDeltaPp);
+  });
+
+  it("treats blank values as the default", () => {
+    near(evaluate("overtime", { otHours: "" }).result.totalImpact, -3150);
+  });
+});
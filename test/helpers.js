@@ -0,0 +1,9 @@
+import assert from "node:assert/strict";
+
+// Pinned values are rounded to the cent; anything closer than that is a match
+export function near(actual, expected, tolerance = 0.01) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
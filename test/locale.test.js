@@ -0,0 +1,177 @@
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import {
+  COMMON_ASSUMPTIONS,
+  COMMON_INPUTS,
+  DECISIONS,
+  DEFAULT_SETTINGS,
+  IMPACT_KPIS,
+  TIME_BASES,
+  buildReport,
+  createLocale,
+  defaultValues,
+  evaluate,
+  inputsFor,
+  normalizeSettings,
+  sharedCurrency,
+  summaryText,
+  validateInputs,
+} from "../src/engine.js";
+import de from "../src/locales/de.js";
+import es from "../src/locales/es.js";
+import { CAPEX_V1_NOTE } from "../src/serialize.js";
+import { near } from "./helpers.js";
+
+const GERMAN = { ...DEFAULT_SETTINGS, locale: "de-DE", currency: "EUR", timeBase: "month" };
+const MEXICAN = { ...DEFAULT_SETTINGS, locale: "es-MX", currency: "MXN", reportingCurrency: "USD", conversionRate: 0.05 };
+const NBSP = "\u00a0";
+
+describe("number formats", () => {
+  it("reads numbers typed in each locale", () => {
+    const german = createLocale(GERMAN);
+    assert.equal(german.parseNumber("1.234,5"), 1234.5);
+    assert.equal(german.parseNumber("-0,25"), -0.25);
+    assert.equal(german.parseNumber(""), "");
+    assert.ok(Number.isNaN(german.parseNumber("12,3,4")));
+
+    const mexican = createLocale(MEXICAN);
+    assert.equal(mexican.parseNumber("1,234.5"), 1234.5);
+    assert.equal(mexican.parseNumber(" 12 "), 12);
+    assert.ok(Number.isNaN(mexican.parseNumber("abc")));
+  });
+
+  it("formats numbers for editing without grouping", () => {
+    assert.equal(createLocale(GERMAN).formatNumber(1234.5), "1234,5");
+    assert.equal(createLocale().formatNumber(1234.5), "1234.5");
+    assert.equal(createLocale().formatNumber(""), "");
+  });
+
+  it("formats money in the chosen currency", () => {
+    assert.equal(createLocale().money(-1234.5), "-$1,234.50");
+    assert.equal(createLocale(GERMAN).money(1234.5), `1.234,50${NBSP}€`);
+    assert.equal(createLocale(MEXICAN).money(1234.5), "$1,234.50");
+  });
+
+  it("adds the reporting currency when a conversion rate is set", () => {
+    const mexican = createLocale(MEXICAN);
+    assert.equal(mexican.reportingMoney(1000), `USD${NBSP}50.00`);
+    assert.equal(mexican.amount(1000), `$1,000.00 (≈ USD${NBSP}50.00)`);
+    assert.equal(createLocale(GERMAN).reportingMoney(1000), null);
+  });
+});
+
+describe("time bases", () => {
+  it("scales per-week rates and spans of weeks both ways", () => {
+    const months = createLocale(GERMAN);
+    near(months.toDisplay("rate", 100), 433.33);
+    assert.equal(months.toDisplay("span", 26), 6);
+    assert.equal(months.fromDisplay("span", 6), 26);
+    near(months.fromDisplay("rate", months.toDisplay("rate", 40)), 40);
+    assert.equal(months.toDisplay(undefined, 7), 7);
+    assert.equal(months.toDisplay("rate", ""), "");
+
+    const shifts = createLocale({ ...DEFAULT_SETTINGS, timeBase: "shift", shiftsPerWeek: 10 });
+    assert.equal(shifts.toDisplay("rate", 100), 10);
+    assert.equal(shifts.toDisplay("span", 2), 20);
+  });
+
+  it("names the period in labels and units", () => {
+    const months = createLocale(GERMAN);
+    const runtime = COMMON_INPUTS.find((f) => f.key === "runtimePerWeek");
+    assert.equal(months.fieldLabel(runtime), "Geplante Laufzeit pro Monat (Std.)");
+    const penalty = COMMON_INPUTS.find((f) => f.key === "latePenaltyPerUnitWeek");
+    assert.equal(months.unit(penalty), "€/Stück je Monat Verzug");
+    assert.equal(createLocale().fieldLabel(runtime), "Planned runtime per week (hrs)");
+  });
+
+  it("quotes validation limits in the time base", () => {
+    const months = createLocale(GERMAN);
+    const schema = [{ key: "x", label: "Overtime hours", unit: "hrs/{period}", max: 30, time: "rate" }];
+    assert.deepEqual(validateInputs(schema, { x: 40 }, months), ["Überstunden darf höchstens 130 sein."]);
+  });
+});
+
+describe("translated reports", () => {
+  it("writes the decision summary in the scenario's language and time base", () => {
+    const { result } = evaluate("overtime");
+    assert.equal(summaryText(result), "This decision is estimated to cost $525.00 per week.");
+    assert.equal(
+      summaryText(result, createLocale(GERMAN)),
+      `Diese Entscheidung kostet voraussichtlich 2.275,00${NBSP}€ pro Monat.`
+    );
+    assert.equal(
+      summaryText(result, createLocale(MEXICAN)),
+      `Se estima que esta decisión cuesta $525.00 (≈ USD${NBSP}26.25) por semana.`
+    );
+  });
+
+  it("converts report inputs and per-week results to the time base", () => {
+    const report = buildReport(DECISIONS[0], defaultValues(), createLocale(GERMAN));
+    assert.equal(report.decision, "Überstunden einplanen");
+    const ot = report.inputs.find((i) => i.key === "otHours");
+    assert.equal(ot.unit, "Std./Monat");
+    near(ot.value, 43.33);
+    const net = report.kpis.find((k) => k.title === "Nettowirkung / Monat");
+    near(net.value, -2275);
+    assert.equal(report.weekly.columns[0].title, "Woche");
+  });
+});
+
+describe("settings", () => {
+  it("keeps valid settings and drops the rest", () => {
+    assert.deepEqual(normalizeSettings(null), DEFAULT_SETTINGS);
+    assert.deepEqual(
+      normalizeSettings({ locale: "de-DE", currency: "eur", timeBase: "fortnight", shiftsPerWeek: 10, extra: 1 }),
+      { ...DEFAULT_SETTINGS, locale: "de-DE", shiftsPerWeek: 10 }
+    );
+  });
+
+  it("finds a common currency for comparing scenarios", () => {
+    assert.deepEqual(sharedCurrency([DEFAULT_SETTINGS, DEFAULT_SETTINGS]), { currency: "USD", factors: [1, 1] });
+    assert.deepEqual(sharedCurrency([MEXICAN, DEFAULT_SETTINGS]), { currency: "USD", factors: [0.05, 1] });
+    assert.equal(sharedCurrency([GERMAN, DEFAULT_SETTINGS]), null);
+    assert.equal(sharedCurrency([]), null);
+  });
+});
+
+// Every string the app passes through t(), plus every schema string
+function sourceStrings() {
+  const strings = new Set();
+  const add = (s) => s && strings.add(s);
+  const src = new URL("../src/", import.meta.url);
+  const files = readdirSync(src, { recursive: true }).filter((f) => /\.jsx?$/.test(f) && !f.startsWith("locales"));
+  for (const f of files) {
+    const text = readFileSync(new URL(f, src), "utf8");
+    for (const m of text.matchAll(/\bt\(\s*"((?:[^"\\]|\\.)*)"/g)) add(JSON.parse(`"${m[1]}"`));
+  }
+  const fields = (list) => list.forEach((f) => [f.label, f.unit].forEach(add));
+  fields(COMMON_INPUTS);
+  COMMON_ASSUMPTIONS.forEach(add);
+  IMPACT_KPIS.forEach((k) => add(k.title));
+  for (const d of DECISIONS) {
+    [d.label, d.title, d.help].forEach(add);
+    fields(d.inputs);
+    (d.assumptions || []).forEach(add);
+    d.kpis.forEach((k) => add(k.title));
+    if (d.weekly) d.weekly(inputsFor(d, {})).columns.forEach((c) => add(c.title));
+  }
+  for (const base of Object.values(TIME_BASES)) [base.label, base.period, base.periods].forEach(add);
+  // Goal-seek reasons and migration notes are translated where they are shown
+  add("The upper bound must be above the lower bound.");
+  add(CAPEX_V1_NOTE);
+  return [...strings];
+}
+
+const placeholders = (text) => [...text.matchAll(/\{\w+\}/g)].map((m) => m[0]).sort();
+
+describe("catalogs", () => {
+  const strings = sourceStrings();
+
+  for (const [name, catalog] of Object.entries({ de, es })) {
+    it(`${name} translates every string and keeps its placeholders`, () => {
+      assert.deepEqual(strings.filter((s) => !(s in catalog)), []);
+      for (const s of strings) assert.deepEqual(placeholders(catalog[s]), placeholders(s), s);
+    });
+  }
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { defaultValues, evaluatePortfolio } from "../src/engine.js";
+import { loadPortfolio } from "../src/portfolio.js";
+import { near } from "./helpers.js";
+
+const { common, overtime, capex } = defaultValues();
+const scenarios = [
+  { id: "ot", name: "OT 10", decision: "overtime", common, inputs: overtime },
+  { id: "buy", name: "Delay CAPEX", decision: "capex", common, inputs: capex },
+];
+const line = (id, scenarioId) => ({ id, name: id, common, scenarioId });
+
+describe("portfolio", () => {
+  it("sums impact and resource use across lines", () => {
+    const portfolio = { horizonWeeks: 6, otHoursCap: "", capexBudget: "", lines: [line("A", "ot"), line("B", "ot"), line("C", "buy")] };
+    const { totals, flags } = evaluatePortfolio(portfolio, scenarios);
+    near(totals.totalImpact, -3150 * 2 + 1153.85);
+    assert.equal(totals.otHoursPerWeek, 20);
+    assert.deepEqual(flags, []);
+  });
+
+  it("flags the plant-wide overtime cap and CAPEX budget", () => {
+    const portfolio = { horizonWeeks: 26, otHoursCap: 15, capexBudget: 0, lines: [line("A", "ot"), line("B", "ot"), line("C", "buy")] };
+    const { flags } = evaluatePortfolio(portfolio, scenarios);
+    assert.equal(flags.length, 2);
+    assert.match(flags[0], /exceeds the cap of 15/);
+    assert.match(flags[1], /exceeds the budget/);
+  });
+
+  it("keeps going when a line points at a deleted scenario", () => {
+    const portfolio = { horizonWeeks: 6, otHoursCap: "", capexBudget: "", lines: [line("A", "gone"), line("B", "ot")] };
+    const { lines, totals } = evaluatePortfolio(portfolio, scenarios);
+    assert.match(lines[0].problems[0], /no longer exists/);
+    near(totals.totalImpact, -3150);
+  });
+
+  it("skips damaged lines in browser storage", () => {
+    const stored = { lines: [null, { id: "X" }, { common: {} }, line("A", "ot")] };
+    globalThis.localStorage = { getItem: () => JSON.stringify(stored) };
+    try {
+      const portfolio = loadPortfolio(common);
+      assert.deepEqual(portfolio.lines, [line("A", "ot")]);
+      assert.equal(portfolio.horizonWeeks, common.horizonWeeks);
+      near(evaluatePortfolio(portfolio, scenarios).totals.totalImpact, -3150);
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+});
@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEFAULT_SETTINGS,
+  decodeHash,
+  defaultValues,
+  encodeHash,
+  evaluate,
+  exportScenarioFile,
+  parseCsv,
+  parseScenarioFile,
+  toCsv,
+} from "../src/engine.js";
+import { loadScenarios, makeScenario } from "../src/scenarioStore.js";
+import { CAPEX_V1_NOTE, upgradeScenarios } from "../src/serialize.js";
+import { near } from "./helpers.js";
+
+const EURO_MONTHS = { ...DEFAULT_SETTINGS, locale: "de-DE", currency: "EUR", timeBase: "month" };
+
+describe("share links", () => {
+  it("round-trips the decision and its inputs", () => {
+    const values = defaultValues();
+    values.overtime.otHours = 25;
+    values.common.sellPrice = 18.5;
+    const decoded = decodeHash("#" + encodeHash("overtime", values));
+    assert.equal(decoded.decision, "overtime");
+    assert.deepEqual(decoded.problems, []);
+    assert.equal(decoded.values.overtime.otHours, 25);
+    assert.equal(decoded.values.common.sellPrice, 18.5);
+    assert.equal(decoded.settings, null);
+  });
+
+  it("carries settings that differ from the defaults", () => {
+    const hash = encodeHash("overtime", defaultValues(), EURO_MONTHS);
+    assert.match(hash, /currency=EUR/);
+    assert.doesNotMatch(hash, /shiftsPerWeek/);
+    assert.deepEqual(decodeHash("#" + hash).settings, EURO_MONTHS);
+    const bad = decodeHash("#decision=overtime&currency=euro");
+    assert.equal(bad.settings, null);
+    assert.match(bad.problems[0], /not a 3-letter ISO code/);
+  });
+
+  it("falls back and explains when the link is damaged", () => {
+    assert.equal(decodeHash("#foo=1"), null);
+    const decoded = decodeHash("#decision=nope&otHours=abc");
+    assert.equal(decoded.decision, "overtime");
+    assert.equal(decoded.problems.length, 1);
+    assert.equal(decodeHash("#decision=overtime&otHours=abc").problems.length, 1);
+  });
+});
+
+describe("scenario files", () => {
+  const v1 = {
+    format: "mdic-scenarios",
+    version: 1,
+    scenarios: [
+      {
+        name: "Wait a quarter",
+        decision: "capex",
+        common: { horizonWeeks: 13, runtimePerWeek: 40, baselineUnitsPerHr: 50, laborRate: 35, overheadPct: 0, sellPrice: 0, cmPct: 0 },
+        inputs: { capexAmount: 100000, annualSavings: 40000, deploymentLeadWeeks: 8, costOfCapitalPct: 10 },
+      },
+    ],
+  };
+
+  it("round-trips through export and import", () => {
+    const values = defaultValues();
+    const scenario = {
+      name: "OT 10",
+      decision: "overtime",
+      common: values.common,
+      inputs: values.overtime,
+      settings: EURO_MONTHS,
+      savedAt: 1,
+    };
+    const [parsed] = parseScenarioFile(exportScenarioFile([scenario]));
+    assert.deepEqual(parsed, scenario);
+  });
+
+  it("re-imports scenarios saved with a cleared field", () => {
+    const values = defaultValues();
+    values.overtime.otHours = "";
+    values.common.sellPrice = "";
+    const saved = makeScenario("Cleared", "overtime", values, DEFAULT_SETTINGS);
+    assert.equal(saved.inputs.otHours, 10);
+
+    // Scenarios stored before blanks were filled on save
+    const stored = { ...saved, inputs: { ...saved.inputs, otHours: "" }, common: values.common };
+    const [parsed] = parseScenarioFile(exportScenarioFile([stored]));
+    assert.equal(parsed.inputs.otHours, 10);
+    assert.equal(parsed.common.sellPrice, 0);
+  });
+
+  it("migrates version 1 files and notes the changed CAPEX total", () => {
+    const [s] = parseScenarioFile(JSON.stringify(v1));
+    assert.equal(s.inputs.delayWeeks, 13);
+    assert.equal(s.common.weeklyDemand, 0);
+    assert.equal(s.common.baselineOeePct, 100);
+    assert.deepEqual(s.settings, DEFAULT_SETTINGS);
+    assert.equal(s.note, CAPEX_V1_NOTE);
+
+    // Version 1 reported only the savings missed: 5 weeks at $40k a year
+    const v1Total = -(40000 / 52) * 5;
+    const { result, problems } = evaluate(s.decision, { ...s.common, ...s.inputs });
+    assert.deepEqual(problems, []);
+    near(result.lostSavingsWithinHorizon, -v1Total);
+    near(result.carryingCostAvoided, 2500);
+    near(result.totalImpact, v1Total + result.carryingCostAvoided);
+  });
+
+  it("upgrades scenarios stored in the browser the same way as files", () => {
+    const [stored] = upgradeScenarios([{ id: "a", ...v1.scenarios[0] }]);
+    const [file] = parseScenarioFile(JSON.stringify(v1));
+    assert.equal(stored.id, "a");
+    assert.deepEqual(stored.inputs, file.inputs);
+    assert.equal(stored.note, CAPEX_V1_NOTE);
+    assert.deepEqual(stored.settings, DEFAULT_SETTINGS);
+
+    const current = makeScenario("Now", "capex", defaultValues(), EURO_MONTHS);
+    assert.deepEqual(upgradeScenarios([current]), [current]);
+  });
+
+  it("skips damaged entries in browser storage", () => {
+    const good = makeScenario("Now", "overtime", defaultValues(), DEFAULT_SETTINGS);
+    const stored = [null, 7, { ...good, id: undefined }, { ...good, decision: null }, { ...good, inputs: null }, good];
+    globalThis.localStorage = { getItem: () => JSON.stringify(stored) };
+    try {
+      assert.deepEqual(loadScenarios(), [good]);
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+
+  it("rejects files it does not understand", () => {
+    assert.throws(() => parseScenarioFile("{"), /not valid JSON/);
+    assert.throws(() => parseScenarioFile("{}"), /not an MDIC scenario file/);
+    assert.throws(() => parseScenarioFile(JSON.stringify({ ...v1, version: 99 })), /version 99 is not supported/);
+    assert.throws(() => parseScenarioFile(JSON.stringify({ ...v1, scenarios: [] })), /no scenarios/);
+    const bad = structuredClone(v1);
+    bad.scenarios[0].inputs.capexAmount = "lots";
+    assert.throws(() => parseScenarioFile(JSON.stringify(bad)), /must be a number/);
+    const v4 = JSON.parse(exportScenarioFile([{ ...parseScenarioFile(JSON.stringify(v1))[0], settings: { ...EURO_MONTHS, timeBase: "fortnight" } }]));
+    assert.throws(() => parseScenarioFile(JSON.stringify(v4)), /settings: Time base "fortnight"/);
+    bad.scenarios[0].decision = "nope";
+    assert.throws(() => parseScenarioFile(JSON.stringify(bad)), /unknown decision type "nope"/);
+  });
+});
+
+describe("CSV", () => {
+  it("quotes and parses cells with commas, quotes and line breaks", () => {
+    const rows = [["name", "note"], ["A, B", 'say "hi"'], ["multi\nline", ""]];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+  });
+
+  it("ignores the byte-order mark Excel writes", () => {
+    assert.deepEqual(parseCsv("\uFEFFa,b\r\n1,2\r\n"), [["a", "b"], ["1", "2"]]);
+  });
+});